@@ -0,0 +1,357 @@
+/*
+ * Package: cache.js
+ *
+ * Namespace: bbop.golr.cache
+ *
+ * A cache of GOlr responses, keyed by their parameters, for pages
+ * that make the same select queries over and over. Parameters that
+ * differ only in ways that do not change the results--the order of
+ * the keys, the order of the filters ("fq") and facet fields
+ * ("facet.field"), and the "packet" and "callback_type" bookkeeping
+ * parameters--are the same key.
+ *
+ * Entries can expire after a time (TTL), the least recently used are
+ * dropped past a maximum size, and entries can be thrown out by the
+ * fields or filters in their queries (e.g. after an update to a
+ * source).
+ */
+
+var us = require('underscore');
+
+var query_parser = require('./query_parser');
+var request = require('./request');
+
+// Parameters that do not change the results.
+var ignored_params = ['packet', 'callback_type'];
+
+// Multi-valued parameters whose order does not change the results.
+var unordered_params = ['fq', 'facet.field'];
+
+/*
+ * Constructor: cache
+ *
+ * Contructor for a response cache.
+ *
+ * Options:
+ *  ttl - milliseconds an entry is good for; defaults to forever
+ *  max_size - the most entries to keep; defaults to no limit
+ *  now - function returning the current time in milliseconds; defaults to Date.now
+ *
+ * Arguments:
+ *  opts - *[optional]* hash of options
+ *
+ * Returns:
+ *  cache object
+ */
+var cache = function(opts){
+    this._is_a = 'bbop-response-golr.cache';
+
+    opts = opts || {};
+    this._ttl = (typeof(opts['ttl']) === 'number') ? opts['ttl'] : null;
+    this._max_size = (typeof(opts['max_size']) === 'number') ?
+	opts['max_size'] : null;
+    this._now = opts['now'] || function(){ return (new Date()).getTime(); };
+
+    // {<key>: {response: ..., params: ..., stored: <time>}, ...}
+    this._entries = {};
+    // Keys, least recently used first.
+    this._order = [];
+
+    this._stats = {'hits': 0, 'misses': 0, 'evictions': 0,
+		   'expirations': 0, 'invalidations': 0};
+};
+
+/*
+ * Function: key
+ *
+ * The cache key for a set of parameters (or anything with a
+ * parameters() method, like a response or request).
+ *
+ * Arguments:
+ *  params - parameter hash, response, or request
+ *
+ * Returns:
+ *  string
+ */
+cache.prototype.key = function(params){
+    return key(params);
+};
+
+/*
+ * Function: get
+ *
+ * Get the cached response for a set of parameters, if there is one
+ * that has not expired.
+ *
+ * Arguments:
+ *  params - parameter hash, response, or request
+ *
+ * Returns:
+ *  golr response or null
+ */
+cache.prototype.get = function(params){
+    var ret = null;
+    var k = key(params);
+    var entry = this._entries[k];
+    if( entry && this._expired_p(entry) ){
+	this._remove(k);
+	this._stats['expirations']++;
+	entry = null;
+    }
+    if( entry ){
+	this._touch(k);
+	this._stats['hits']++;
+	ret = entry['response'];
+    }else{
+	this._stats['misses']++;
+    }
+    return ret;
+};
+
+/*
+ * Function: has
+ *
+ * Whether there is an unexpired response for a set of parameters.
+ * This does not count as a hit or miss, or as a use.
+ *
+ * Arguments:
+ *  params - parameter hash, response, or request
+ *
+ * Returns:
+ *  boolean
+ */
+cache.prototype.has = function(params){
+    var entry = this._entries[key(params)];
+    return !! entry && ! this._expired_p(entry);
+};
+
+/*
+ * Function: set
+ *
+ * Cache a response, under its own parameters or the given ones. If
+ * the cache is full, the least recently used response is dropped.
+ *
+ * Arguments:
+ *  resp - golr response
+ *  params - *[optional]* parameter hash, response, or request; defaults to the response's
+ *
+ * Returns:
+ *  the cache key
+ */
+cache.prototype.set = function(resp, params){
+    var pset = _params(params || resp);
+    var k = key(pset);
+    this._entries[k] = {
+	'response': resp,
+	'params': pset,
+	'stored': this._now()
+    };
+    this._touch(k);
+
+    while( this._max_size !== null && this._order.length > this._max_size ){
+	this._remove(this._order[0]);
+	this._stats['evictions']++;
+    }
+    return k;
+};
+
+/*
+ * Function: invalidate
+ *
+ * Drop the response for a set of parameters.
+ *
+ * Arguments:
+ *  params - parameter hash, response, or request
+ *
+ * Returns:
+ *  the number of responses dropped
+ */
+cache.prototype.invalidate = function(params){
+    var drop_key = key(params);
+    return this._invalidate_by(function(entry, k){
+	return k === drop_key;
+    });
+};
+
+/*
+ * Function: invalidate_field
+ *
+ * Drop every response whose query filters on or facets on a field.
+ *
+ * Arguments:
+ *  field - the field name
+ *
+ * Returns:
+ *  the number of responses dropped
+ */
+cache.prototype.invalidate_field = function(field){
+    return this._invalidate_by(function(entry){
+	var params = entry['params'];
+	if( us.contains(request.as_list(params['facet.field']), field) ){
+	    return true;
+	}
+	return us.some(request.as_list(params['fq']), function(fq){
+	    var simple = query_parser.simple_filter_string(fq);
+	    if( simple ){
+		return simple[0] === field;
+	    }
+	    // Unknown filters might be on anything; best to be sure.
+	    return fq.indexOf(field) !== -1;
+	});
+    });
+};
+
+/*
+ * Function: invalidate_filter
+ *
+ * Drop every response with a filter: either a raw filter string
+ * (e.g. 'source:"MGI"'), or a field and value, which drops responses
+ * with a simple filter on that value, positive or negative.
+ *
+ * Arguments:
+ *  field_or_fq - the field name, or the raw filter string
+ *  value - *[optional]* the filtered value
+ *
+ * Returns:
+ *  the number of responses dropped
+ */
+cache.prototype.invalidate_filter = function(field_or_fq, value){
+    var by_value_p = (typeof(value) !== 'undefined' && value !== null);
+    return this._invalidate_by(function(entry){
+	return us.some(request.as_list(entry['params']['fq']), function(fq){
+	    if( ! by_value_p ){
+		return fq === field_or_fq;
+	    }
+	    var simple = query_parser.simple_filter_string(fq);
+	    return simple && simple[0] === field_or_fq && simple[1] === value;
+	});
+    });
+};
+
+/*
+ * Function: clear
+ *
+ * Drop everything (the statistics are kept).
+ *
+ * Arguments:
+ *  n/a
+ *
+ * Returns:
+ *  n/a
+ */
+cache.prototype.clear = function(){
+    this._entries = {};
+    this._order = [];
+};
+
+/*
+ * Function: size
+ *
+ * The number of responses in the cache, including any that have
+ * expired but not yet been found to be.
+ *
+ * Arguments:
+ *  n/a
+ *
+ * Returns:
+ *  integer
+ */
+cache.prototype.size = function(){
+    return this._order.length;
+};
+
+/*
+ * Function: stats
+ *
+ * Statistics on the use of the cache:
+ *
+ * : {hits: 8, misses: 2, hit_rate: 0.8, size: 2,
+ * :  evictions: 1, expirations: 1, invalidations: 0}
+ *
+ * Arguments:
+ *  n/a
+ *
+ * Returns:
+ *  hash
+ */
+cache.prototype.stats = function(){
+    var ret = us.clone(this._stats);
+    var lookups = ret['hits'] + ret['misses'];
+    ret['hit_rate'] = lookups > 0 ? ret['hits'] / lookups : 0;
+    ret['size'] = this.size();
+    return ret;
+};
+
+cache.prototype._expired_p = function(entry){
+    return this._ttl !== null && (this._now() - entry['stored']) >= this._ttl;
+};
+
+// Mark a key as the most recently used.
+cache.prototype._touch = function(k){
+    this._order = us.without(this._order, k);
+    this._order.push(k);
+};
+
+cache.prototype._remove = function(k){
+    delete this._entries[k];
+    this._order = us.without(this._order, k);
+};
+
+// Drop the entries that pass a test, counting them.
+cache.prototype._invalidate_by = function(test){
+    var anchor = this;
+    var drop = us.filter(this._order, function(k){
+	return test(anchor._entries[k], k);
+    });
+    us.each(drop, function(k){
+	anchor._remove(k);
+    });
+    this._stats['invalidations'] += drop.length;
+    return drop.length;
+};
+
+// A parameter hash from whatever we were given.
+function _params(thing){
+    var ret = thing || {};
+    if( typeof(ret.parameters) === 'function' ){
+	ret = ret.parameters();
+    }
+    return ret;
+}
+
+/*
+ * Function: key
+ *
+ * The normalized cache key for a set of parameters: sorted keys,
+ * sorted "fq" and "facet.field" values, no "packet" or
+ * "callback_type", and single values the same as lists of one.
+ *
+ * Arguments:
+ *  params - parameter hash, or anything with a parameters() method
+ *
+ * Returns:
+ *  string
+ */
+function key(params){
+    var pset = _params(params);
+    var pairs = [];
+    us.each(us.keys(pset).sort(), function(k){
+	if( us.contains(ignored_params, k) ){
+	    return;
+	}
+	var vals = us.map(request.as_list(pset[k]), function(v){ return '' + v; });
+	if( us.contains(unordered_params, k) ){
+	    vals = us.uniq(vals.sort(), true);
+	}
+	pairs.push([k, vals]);
+    });
+    return JSON.stringify(pairs);
+}
+
+///
+/// Exportable body.
+///
+
+cache.key = key;
+
+module.exports = cache;
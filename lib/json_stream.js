@@ -0,0 +1,308 @@
+/*
+ * Package: json_stream.js
+ *
+ * Namespace: bbop.golr.json_stream
+ *
+ * An incremental JSON parser: text is written to it in pieces, as it
+ * comes in, and values are handed out as soon as they are complete
+ * rather than at the very end. Values can also be dropped as they are
+ * handed out, so that something like the documents of a very large
+ * response never need to be held all at once (see
+ * response.read_stream()).
+ *
+ * Paths are lists of the keys and array indices from the top, e.g.
+ * ["response", "docs", 0] for the first document of a response.
+ */
+
+// Whitespace between tokens.
+var whitespace = {' ': true, '\t': true, '\n': true, '\r': true};
+
+// Characters that may be in a number.
+var number_chars = {
+    '-': true, '+': true, '.': true, 'e': true, 'E': true,
+    '0': true, '1': true, '2': true, '3': true, '4': true,
+    '5': true, '6': true, '7': true, '8': true, '9': true
+};
+var number_re = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+// The literals.
+var literals = {'true': true, 'false': false, 'null': null};
+
+/*
+ * Constructor: json_stream
+ *
+ * Contructor for an incremental JSON parser.
+ *
+ * The handlers are called as the text is parsed, for values and
+ * containers no deeper than the given depth:
+ *
+ *  open - function(path, type) when an "object" or "array" starts
+ *  value - function(path, value) when a value is complete; if this returns true, the value is dropped from its container
+ *
+ * Arguments:
+ *  handlers - hash of handler functions
+ *  depth - *[optional]* the deepest path to call handlers for; defaults to 1
+ *
+ * Returns:
+ *  json_stream object
+ */
+var json_stream = function(handlers, depth){
+    this._is_a = 'bbop-response-golr.json_stream';
+
+    this._handlers = handlers || {};
+    this._depth = (typeof(depth) === 'number') ? depth : 1;
+
+    this._buf = '';
+    this._offset = 0; // position of the start of the buffer in the text
+    this._stack = [];
+    this._root = undefined;
+    this._done_p = false;
+    this._ended_p = false;
+};
+
+/*
+ * Function: write
+ *
+ * Parse the next piece of text.
+ *
+ * Arguments:
+ *  text - string
+ *
+ * Returns:
+ *  n/a; throws an Error if the text cannot be parsed
+ */
+json_stream.prototype.write = function(text){
+    if( this._ended_p ){
+	throw new Error('JSON stream already ended');
+    }
+    this._buf += text;
+    this._parse();
+};
+
+/*
+ * Function: end
+ *
+ * Finish parsing; there is no more text.
+ *
+ * Arguments:
+ *  n/a
+ *
+ * Returns:
+ *  the parsed value (less anything dropped); throws an Error if the text was incomplete
+ */
+json_stream.prototype.end = function(){
+    this._ended_p = true;
+    this._parse();
+    if( ! this._done_p ){
+	this._error(this._buf.length, 'unexpected end of text');
+    }
+    return this._root;
+};
+
+/*
+ * Function: value
+ *
+ * The parsed value (less anything dropped), once it is complete.
+ *
+ * Arguments:
+ *  n/a
+ *
+ * Returns:
+ *  the value, or undefined if it is not yet complete
+ */
+json_stream.prototype.value = function(){
+    return this._done_p ? this._root : undefined;
+};
+
+json_stream.prototype._error = function(pos, msg){
+    throw new Error('JSON parse error at position ' + (this._offset + pos) +
+		    ': ' + msg);
+};
+
+// Parse as much of the buffer as can be, leaving any incomplete
+// token for next time.
+json_stream.prototype._parse = function(){
+
+    var buf = this._buf;
+    var pos = 0;
+    var len = buf.length;
+
+    while( pos < len ){
+	var c = buf.charAt(pos);
+
+	if( whitespace[c] ){
+	    pos++;
+	    continue;
+	}
+	if( this._done_p ){
+	    this._error(pos, 'unexpected text after the end');
+	}
+
+	var frame = this._stack.length > 0 ? this._stack[this._stack.length - 1] : null;
+	var state = frame ? frame['state'] : 'value';
+
+	if( c === '{' || c === '[' ){
+	    if( state !== 'value' ){
+		this._error(pos, 'unexpected "' + c + '"');
+	    }
+	    this._open(c === '{' ? 'object' : 'array');
+	    pos++;
+	}else if( c === '}' || c === ']' ){
+	    var object_p = (frame && frame['type'] === 'object');
+	    // Either after a value, or right away for an empty one.
+	    if( ! frame || c !== (object_p ? '}' : ']') ||
+		! (state === 'comma' ||
+		   (frame['count'] === 0 && state === (object_p ? 'key' : 'value'))) ){
+		    this._error(pos, 'unexpected "' + c + '"');
+		}
+	    this._stack.pop();
+	    this._complete(frame['value']);
+	    pos++;
+	}else if( c === ',' ){
+	    if( state !== 'comma' ){
+		this._error(pos, 'unexpected ","');
+	    }
+	    frame['state'] = (frame['type'] === 'object') ? 'key' : 'value';
+	    pos++;
+	}else if( c === ':' ){
+	    if( state !== 'colon' ){
+		this._error(pos, 'unexpected ":"');
+	    }
+	    frame['state'] = 'value';
+	    pos++;
+	}else if( c === '"' ){
+	    if( state !== 'value' && state !== 'key' ){
+		this._error(pos, 'unexpected string');
+	    }
+	    // Find the closing quote, minding escapes.
+	    var end = pos + 1;
+	    var closed_p = false;
+	    while( end < len ){
+		var e = buf.charAt(end);
+		if( e === '\\' ){
+		    end += 2;
+		}else if( e === '"' ){
+		    closed_p = true;
+		    break;
+		}else{
+		    end++;
+		}
+	    }
+	    if( ! closed_p ){
+		break; // wait for more
+	    }
+	    var str = null;
+	    try {
+		str = JSON.parse(buf.substring(pos, end + 1));
+	    }catch(err){
+		this._error(pos, 'bad string');
+	    }
+	    if( state === 'key' ){
+		frame['key'] = str;
+		frame['state'] = 'colon';
+	    }else{
+		this._complete(str);
+	    }
+	    pos = end + 1;
+	}else if( number_chars[c] ){
+	    if( state !== 'value' ){
+		this._error(pos, 'unexpected number');
+	    }
+	    var nend = pos;
+	    while( nend < len && number_chars[buf.charAt(nend)] ){
+		nend++;
+	    }
+	    if( nend === len && ! this._ended_p ){
+		break; // there may be more of it
+	    }
+	    var num = buf.substring(pos, nend);
+	    if( ! number_re.test(num) ){
+		this._error(pos, 'bad number "' + num + '"');
+	    }
+	    this._complete(parseFloat(num));
+	    pos = nend;
+	}else{
+	    if( state !== 'value' ){
+		this._error(pos, 'unexpected "' + c + '"');
+	    }
+	    var lit = null;
+	    for( var word in literals ){
+		if( buf.substr(pos, word.length) === word ){
+		    lit = word;
+		}
+	    }
+	    if( lit === null ){
+		var rest = buf.substring(pos);
+		var partial_p = ! this._ended_p && rest.length < 5 &&
+			(('true'.indexOf(rest) === 0) || ('false'.indexOf(rest) === 0) ||
+			 ('null'.indexOf(rest) === 0));
+		if( partial_p ){
+		    break; // wait for more
+		}
+		this._error(pos, 'unexpected "' + c + '"');
+	    }
+	    this._complete(literals[lit]);
+	    pos += lit.length;
+	}
+    }
+
+    this._buf = buf.substring(pos);
+    this._offset += pos;
+};
+
+// The path of the next value in the current container.
+json_stream.prototype._child_path = function(){
+    var ret = [];
+    var frame = this._stack.length > 0 ? this._stack[this._stack.length - 1] : null;
+    if( frame ){
+	ret = frame['path'].concat([frame['type'] === 'object' ?
+				    frame['key'] : frame['count']]);
+    }
+    return ret;
+};
+
+json_stream.prototype._open = function(type){
+    var path = this._child_path();
+    if( this._handlers['open'] && path.length <= this._depth ){
+	this._handlers['open'](path, type);
+    }
+    this._stack.push({
+	'type': type,
+	'value': (type === 'object') ? {} : [],
+	'path': path,
+	'state': (type === 'object') ? 'key' : 'value',
+	'key': null,
+	'count': 0
+    });
+};
+
+// A value is done: hand it out and put it in its container.
+json_stream.prototype._complete = function(value){
+    var path = this._child_path();
+    var drop_p = false;
+    if( this._handlers['value'] && path.length <= this._depth ){
+	drop_p = (this._handlers['value'](path, value) === true);
+    }
+
+    var frame = this._stack.length > 0 ? this._stack[this._stack.length - 1] : null;
+    if( ! frame ){
+	this._root = value;
+	this._done_p = true;
+    }else{
+	if( ! drop_p ){
+	    if( frame['type'] === 'object' ){
+		frame['value'][frame['key']] = value;
+	    }else{
+		frame['value'].push(value);
+	    }
+	}
+	frame['count']++;
+	frame['state'] = 'comma';
+    }
+};
+
+///
+/// Exportable body.
+///
+
+module.exports = json_stream;
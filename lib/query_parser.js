@@ -0,0 +1,607 @@
+/*
+ * Package: query_parser.js
+ *
+ * Namespace: bbop.golr.query_parser
+ *
+ * A parser for the Lucene/Solr standard query syntax, as used in the
+ * filter queries ("fq") and queries ("q") passed to a GOlr
+ * server. This turns a query string into a structured tree (see
+ * <parse>) so that things like local params, boolean operators,
+ * grouping, ranges, wildcards, and negation don't need to be guessed
+ * at with string splitting.
+ *
+ * This is not a validator--it is a bit more lenient than Solr in
+ * places (e.g. unescaped colons in values, like
+ * "isa_partof_closure:GO:0022008", are taken as part of the value).
+ */
+
+var us = require('underscore');
+
+// Local params types whose body is taken literally, not parsed.
+var literal_types = ['term', 'raw', 'field', 'prefix'];
+
+// Local params types whose body is in the standard syntax.
+var lucene_types = ['lucene', 'join'];
+
+/*
+ * Function: parse
+ *
+ * Parse a query string into a tree. The top of the tree is always a
+ * "filter" node:
+ *
+ * : {type: "filter", raw: "{!tag=src}-source:\"MGI\"",
+ * :  local_params: {tag: "src"},
+ * :  query: {type: "not", clause: {type: "phrase", field: "source",
+ * :                                value: "MGI", slop: null, boost: null}}}
+ *
+ * The nodes below that are:
+ *  boolean - {operator: "AND"|"OR", clauses: [...]}
+ *  not - {clause: ...} (from "-", "!", or "NOT")
+ *  group - {field: (string|null), clause: ..., boost: ...} for "(...)" and "field:(...)"
+ *  term - {field, value, wildcard: boolean, fuzzy: (number|null), boost}
+ *  phrase - {field, value, slop: (number|null), boost}
+ *  range - {field, lower, upper, include_lower, include_upper, boost}
+ *  all - for "*:*"
+ *  unparsed - {value} for local params types that we do not understand
+ *
+ * Fields are null when not given; inside "field:(...)" groups, the
+ * group field is pushed down onto the clauses. Values are unescaped;
+ * open range ends ("*") are null. Required clauses ("+") are just
+ * the clause.
+ *
+ * Arguments:
+ *  query_str - the query string
+ *  default_operator - *[optional]* "OR" (default) or "AND" (i.e. q.op) for implicit joins
+ *
+ * Returns:
+ *  filter node; throws an Error if the string cannot be parsed
+ */
+function parse(query_str, default_operator){
+
+    if( typeof(query_str) !== 'string' ){
+	throw new Error('can only parse strings');
+    }
+    var dop = (default_operator === 'AND') ? 'AND' : 'OR';
+
+    var p = new _parser(query_str, dop);
+    var ret = {
+	'type': 'filter',
+	'raw': query_str,
+	'local_params': null,
+	'query': null
+    };
+
+    // Local params only come at the very start.
+    p.skip_ws();
+    if( p.peek(2) === '{!' ){
+	ret['local_params'] = p.local_params();
+    }
+
+    var lp = ret['local_params'] || {};
+    var body = p.rest();
+    if( body.replace(/\s+/g, '') === '' && typeof(lp['v']) !== 'undefined' ){
+	body = lp['v'];
+	p = new _parser(body, dop);
+    }
+
+    if( us.contains(literal_types, lp['type']) ){
+	ret['query'] = {
+	    'type': 'term',
+	    'field': lp['f'] || null,
+	    'value': (lp['type'] === 'prefix') ? body + '*' : body,
+	    'wildcard': lp['type'] === 'prefix',
+	    'fuzzy': null,
+	    'boost': null
+	};
+    }else if( typeof(lp['type']) === 'undefined' ||
+	      us.contains(lucene_types, lp['type']) ){
+	p.skip_ws();
+	if( ! p.done() ){
+	    ret['query'] = p.or_expr(lp['df'] || null);
+	    p.skip_ws();
+	    if( ! p.done() ){
+		p.fail('unexpected "' + p.peek() + '"');
+	    }
+	}
+    }else{
+	ret['query'] = {'type': 'unparsed', 'value': body};
+    }
+
+    return ret;
+}
+
+/*
+ * Function: simple_filter
+ *
+ * If a parsed filter (see <parse>) is a simple filter on a single
+ * field--a term, phrase, or range, possibly negated--return the
+ * field, value, and polarity as used by query_filters() in the
+ * response:
+ *
+ * : ["source", "MGI", false]
+ *
+ * Ranges are given back in their canonical form, e.g. "[2010 TO *]".
+ *
+ * Arguments:
+ *  filter - a filter node
+ *
+ * Returns:
+ *  [field, value, polarity] or null if it is not simple
+ */
+function simple_filter(filter){
+
+    var ret = null;
+
+    var node = filter ? filter['query'] : null;
+    var polarity = true;
+    while( node && (node['type'] === 'not' || node['type'] === 'group') ){
+	if( node['type'] === 'not' ){
+	    polarity = ! polarity;
+	}
+	node = node['clause'];
+    }
+
+    if( node && node['field'] ){
+	if( node['type'] === 'term' || node['type'] === 'phrase' ){
+	    ret = [node['field'], node['value'], polarity];
+	}else if( node['type'] === 'range' ){
+	    ret = [node['field'], _range_string(node), polarity];
+	}
+    }
+
+    return ret;
+}
+
+/*
+ * Function: simple_filter_string
+ *
+ * <simple_filter> straight from a filter string: parse it and, if it
+ * is a simple filter, return the field, value, and polarity.
+ *
+ * Arguments:
+ *  fq - the filter string
+ *  default_operator - *[optional]* "OR" (default) or "AND" (i.e. q.op) for implicit joins
+ *
+ * Returns:
+ *  [field, value, polarity] or null if it is not simple or cannot be parsed
+ */
+function simple_filter_string(fq, default_operator){
+    var ret = null;
+    try {
+	ret = simple_filter(parse(fq, default_operator));
+    }catch(e){
+	// Not something we can deal with.
+    }
+    return ret;
+}
+
+// Canonical string form of a range node's bounds.
+function _range_string(node){
+    var _end = function(val){
+	var ret = '*';
+	if( val !== null ){
+	    ret = /[\s\]\}]/.test(val) ? '"' + val + '"' : val;
+	}
+	return ret;
+    };
+    return (node['include_lower'] ? '[' : '{') +
+	_end(node['lower']) + ' TO ' + _end(node['upper']) +
+	(node['include_upper'] ? ']' : '}');
+}
+
+///
+/// The parser proper; a simple recursive descent over the string.
+///
+
+var _parser = function(str, default_operator){
+    this.str = str;
+    this.pos = 0;
+    this.default_operator = default_operator;
+};
+
+_parser.prototype.fail = function(msg){
+    throw new Error('query parse error at position ' + this.pos + ' in "' +
+		    this.str + '": ' + msg);
+};
+
+_parser.prototype.done = function(){
+    return this.pos >= this.str.length;
+};
+
+_parser.prototype.peek = function(n){
+    return this.str.substr(this.pos, n || 1);
+};
+
+_parser.prototype.rest = function(){
+    return this.str.substring(this.pos);
+};
+
+_parser.prototype.skip_ws = function(){
+    while( ! this.done() && /\s/.test(this.str.charAt(this.pos)) ){
+	this.pos++;
+    }
+};
+
+// Whether a keyword (AND, OR, NOT) is next, as a whole word.
+_parser.prototype.keyword_p = function(word){
+    var ret = false;
+    if( this.str.substr(this.pos, word.length) === word ){
+	var after = this.str.charAt(this.pos + word.length);
+	if( after === '' || /[\s\(]/.test(after) ){
+	    ret = true;
+	}
+    }
+    return ret;
+};
+
+// Whether we're at the end of an expression.
+_parser.prototype.stop_p = function(){
+    return this.done() || this.peek() === ')';
+};
+
+_parser.prototype.or_p = function(){
+    return this.keyword_p('OR') || this.peek(2) === '||';
+};
+
+_parser.prototype.and_p = function(){
+    return this.keyword_p('AND') || this.peek(2) === '&&';
+};
+
+_parser.prototype.or_expr = function(dfield){
+
+    var clauses = [this.and_expr(dfield)];
+    while( true ){
+	this.skip_ws();
+	if( this.stop_p() ){
+	    break;
+	}else if( this.or_p() ){
+	    this.pos += 2;
+	    clauses.push(this.and_expr(dfield));
+	}else if( this.default_operator === 'OR' ){
+	    clauses.push(this.and_expr(dfield));
+	}else{
+	    break;
+	}
+    }
+
+    return (clauses.length === 1) ? clauses[0] :
+	{'type': 'boolean', 'operator': 'OR', 'clauses': clauses};
+};
+
+_parser.prototype.and_expr = function(dfield){
+
+    var clauses = [this.unary(dfield)];
+    while( true ){
+	this.skip_ws();
+	if( this.stop_p() || this.or_p() ){
+	    break;
+	}else if( this.and_p() ){
+	    this.pos += (this.peek(2) === '&&') ? 2 : 3;
+	    clauses.push(this.unary(dfield));
+	}else if( this.default_operator === 'AND' ){
+	    clauses.push(this.unary(dfield));
+	}else{
+	    break;
+	}
+    }
+
+    return (clauses.length === 1) ? clauses[0] :
+	{'type': 'boolean', 'operator': 'AND', 'clauses': clauses};
+};
+
+_parser.prototype.unary = function(dfield){
+
+    var ret = null;
+
+    this.skip_ws();
+    if( this.done() ){
+	this.fail('expected a clause');
+    }
+
+    if( this.keyword_p('NOT') ){
+	this.pos += 3;
+	ret = {'type': 'not', 'clause': this.unary(dfield)};
+    }else if( this.peek() === '-' || this.peek() === '!' ){
+	this.pos++;
+	ret = {'type': 'not', 'clause': this.unary(dfield)};
+    }else if( this.peek() === '+' ){
+	this.pos++;
+	ret = this.unary(dfield);
+    }else{
+	ret = this.primary(dfield);
+    }
+
+    return ret;
+};
+
+_parser.prototype.primary = function(dfield){
+
+    var ret = null;
+
+    this.skip_ws();
+    var c = this.peek();
+    if( c === '(' ){
+	ret = this.group(null, dfield);
+    }else if( c === '[' || c === '{' ){
+	ret = this.range(dfield);
+    }else if( c === '"' ){
+	ret = this.phrase(dfield);
+    }else{
+
+	var token = this.bare(false);
+	if( token === '' ){
+	    this.fail('unexpected "' + c + '"');
+	}
+
+	if( this.peek() === ':' ){
+	    // A field; see what it's attached to.
+	    this.pos++;
+	    var field = _unescape(token);
+	    c = this.peek();
+	    if( c === '(' ){
+		ret = this.group(field, field);
+	    }else if( c === '[' || c === '{' ){
+		ret = this.range(field);
+	    }else if( c === '"' ){
+		ret = this.phrase(field);
+	    }else{
+		var vtoken = this.bare(true);
+		if( vtoken === '' ){
+		    this.fail('expected a value for field "' + field + '"');
+		}
+		ret = this.term(field, vtoken);
+	    }
+	}else{
+	    ret = this.term(dfield, token);
+	}
+    }
+
+    return ret;
+};
+
+// Read a bare (unquoted) token, honoring escapes. Colons end the
+// token unless they are allowed (i.e. we're in a value).
+_parser.prototype.bare = function(colon_p){
+    var start = this.pos;
+    while( ! this.done() ){
+	var c = this.str.charAt(this.pos);
+	if( c === '\\' ){
+	    this.pos += 2;
+	}else if( /[\s\(\)\^~"]/.test(c) || (c === ':' && ! colon_p) ){
+	    break;
+	}else{
+	    this.pos++;
+	}
+    }
+    if( this.pos > this.str.length ){
+	this.pos = this.str.length;
+	this.fail('dangling escape');
+    }
+    return this.str.substring(start, this.pos);
+};
+
+_parser.prototype.term = function(field, token){
+    var ret = null;
+    var value = _unescape(token);
+    if( field === '*' && value === '*' ){
+	ret = {'type': 'all'};
+	this.modifiers({}, false); // boosting everything is meaningless
+    }else{
+	ret = {
+	    'type': 'term',
+	    'field': field,
+	    'value': value,
+	    'wildcard': /(^|[^\\])(\\\\)*[\*\?]/.test(token),
+	    'fuzzy': null,
+	    'boost': null
+	};
+	this.modifiers(ret, 'fuzzy');
+    }
+    return ret;
+};
+
+_parser.prototype.phrase = function(field){
+    var ret = {
+	'type': 'phrase',
+	'field': field,
+	'value': this.quoted(),
+	'slop': null,
+	'boost': null
+    };
+    this.modifiers(ret, 'slop');
+    return ret;
+};
+
+// Read a double-quoted string, returning the unescaped contents.
+_parser.prototype.quoted = function(){
+    this.pos++; // opening quote
+    var start = this.pos;
+    while( ! this.done() && this.str.charAt(this.pos) !== '"' ){
+	if( this.str.charAt(this.pos) === '\\' ){
+	    this.pos++;
+	}
+	this.pos++;
+    }
+    if( this.done() ){
+	this.fail('unterminated quote');
+    }
+    var ret = _unescape(this.str.substring(start, this.pos));
+    this.pos++; // closing quote
+    return ret;
+};
+
+_parser.prototype.group = function(field, dfield){
+    this.pos++; // (
+    this.skip_ws();
+    if( this.peek() === ')' ){
+	this.fail('empty group');
+    }
+    var ret = {
+	'type': 'group',
+	'field': field,
+	'clause': this.or_expr(dfield),
+	'boost': null
+    };
+    this.skip_ws();
+    if( this.peek() !== ')' ){
+	this.fail('expected ")"');
+    }
+    this.pos++;
+    this.modifiers(ret, false);
+    return ret;
+};
+
+_parser.prototype.range = function(field){
+
+    var open = this.str.charAt(this.pos);
+    this.pos++;
+
+    var anchor = this;
+    var _end = function(){
+	var ret = null;
+	anchor.skip_ws();
+	if( anchor.peek() === '"' ){
+	    ret = anchor.quoted();
+	}else{
+	    var start = anchor.pos;
+	    while( ! anchor.done() &&
+		   ! /[\s\]\}]/.test(anchor.str.charAt(anchor.pos)) ){
+		       if( anchor.str.charAt(anchor.pos) === '\\' ){
+			   anchor.pos++;
+		       }
+		       anchor.pos++;
+		   }
+	    var token = anchor.str.substring(start, anchor.pos);
+	    if( token === '' ){
+		anchor.fail('expected a range bound');
+	    }
+	    ret = (token === '*') ? null : _unescape(token);
+	}
+	return ret;
+    };
+
+    var lower = _end();
+    this.skip_ws();
+    if( this.peek(2) !== 'TO' ){
+	this.fail('expected "TO" in range');
+    }
+    this.pos += 2;
+    var upper = _end();
+    this.skip_ws();
+    var close = this.peek();
+    if( close !== ']' && close !== '}' ){
+	this.fail('expected "]" or "}" to close range');
+    }
+    this.pos++;
+
+    var ret = {
+	'type': 'range',
+	'field': field,
+	'lower': lower,
+	'upper': upper,
+	'include_lower': open === '[',
+	'include_upper': close === ']',
+	'boost': null
+    };
+    this.modifiers(ret, false);
+    return ret;
+};
+
+// Pick up trailing "^boost" and "~fuzz" modifiers, where the latter
+// goes into the given key (if allowed at all).
+_parser.prototype.modifiers = function(node, tilde_key){
+    var match = null;
+    while( ! this.done() ){
+	var c = this.peek();
+	if( c === '^' ){
+	    match = /^\^(\d+(\.\d+)?)/.exec(this.rest());
+	    if( ! match ){
+		this.fail('bad boost');
+	    }
+	    node['boost'] = parseFloat(match[1]);
+	    this.pos += match[0].length;
+	}else if( c === '~' && tilde_key ){
+	    match = /^~(\d+(\.\d+)?)?/.exec(this.rest());
+	    node[tilde_key] = match[1] ? parseFloat(match[1]) : 2;
+	    this.pos += match[0].length;
+	}else{
+	    break;
+	}
+    }
+};
+
+// Parse "{!type key=value key='value' ...}" into a hash; a leading
+// bare word is the type.
+_parser.prototype.local_params = function(){
+
+    this.pos += 2; // {!
+    var ret = {};
+    var first_p = true;
+
+    while( true ){
+	this.skip_ws();
+	if( this.done() ){
+	    this.fail('unterminated local params');
+	}
+	if( this.peek() === '}' ){
+	    this.pos++;
+	    break;
+	}
+
+	var key_match = /^[^\s=\}]+/.exec(this.rest());
+	var key = key_match[0];
+	this.pos += key.length;
+
+	if( this.peek() !== '=' ){
+	    if( first_p ){
+		ret['type'] = key;
+	    }else{
+		this.fail('expected "=" in local params');
+	    }
+	}else{
+	    this.pos++;
+	    var c = this.peek();
+	    var val = null;
+	    if( c === '"' || c === '\'' ){
+		this.pos++;
+		var start = this.pos;
+		while( ! this.done() && this.str.charAt(this.pos) !== c ){
+		    if( this.str.charAt(this.pos) === '\\' ){
+			this.pos++;
+		    }
+		    this.pos++;
+		}
+		if( this.done() ){
+		    this.fail('unterminated quote in local params');
+		}
+		val = this.str.substring(start, this.pos).replace(/\\(.)/g, '$1');
+		this.pos++;
+	    }else{
+		var val_match = /^[^\s\}]*/.exec(this.rest());
+		val = val_match[0];
+		this.pos += val.length;
+	    }
+	    ret[key] = val;
+	}
+	first_p = false;
+    }
+
+    return ret;
+};
+
+// Drop backslash escapes.
+function _unescape(str){
+    return str.replace(/\\(.)/g, '$1');
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'parse': parse,
+    'simple_filter': simple_filter,
+    'simple_filter_string': simple_filter_string
+
+};
@@ -0,0 +1,558 @@
+/*
+ * Package: request.js
+ *
+ * Namespace: bbop.golr.request
+ *
+ * A light request parameter set for a GOlr select, for deriving new
+ * queries from old ones: "this same query, but with one filter
+ * removed", "the next page", etc. It starts from a parameter hash in
+ * the same form as a response's parameters() (single values as
+ * strings, repeated values as lists), can be changed in a few
+ * GOlr-minded ways, and serializes into an encoded select query
+ * string that parses back into the same hash.
+ *
+ * Usually gotten from a response with derive_request().
+ */
+
+var bbop = require('bbop-core');
+var us = require('underscore');
+
+var query_parser = require('./query_parser');
+
+/*
+ * Constructor: request
+ *
+ * Contructor for a GOlr request parameter set.
+ *
+ * The parameters are copied, so the original is never changed.
+ *
+ * Arguments:
+ *  params - *[optional]* hash of parameters, as from parameters()
+ *
+ * Returns:
+ *  request object
+ */
+var request = function(params){
+    this._is_a = 'bbop-response-golr.request';
+    this._params = bbop.clone(params || {});
+};
+
+/*
+ * Function: parameters
+ *
+ * Return a copy of the current parameters.
+ *
+ * Arguments:
+ *  n/a
+ *
+ * Returns:
+ *  hash
+ */
+request.prototype.parameters = function(){
+    return bbop.clone(this._params);
+};
+
+/*
+ * Function: get
+ *
+ * Get the value of a parameter.
+ *
+ * Arguments:
+ *  key - parameter name
+ *
+ * Returns:
+ *  string, list of strings, or null
+ */
+request.prototype.get = function(key){
+    var ret = null;
+    if( typeof(this._params[key]) !== 'undefined' ){
+	ret = bbop.clone(this._params[key]);
+    }
+    return ret;
+};
+
+/*
+ * Function: set
+ *
+ * Set the value of a parameter; null removes it. Numbers and
+ * booleans are turned into strings, as they would come back from
+ * the server.
+ *
+ * Arguments:
+ *  key - parameter name
+ *  value - string, number, boolean, list, or null
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.set = function(key, value){
+    if( value === null || typeof(value) === 'undefined' ){
+	delete this._params[key];
+    }else if( bbop.what_is(value) === 'array' ){
+	this._params[key] = us.map(value, function(v){ return '' + v; });
+    }else{
+	this._params[key] = '' + value;
+    }
+    return this;
+};
+
+/*
+ * Function: set_start
+ *
+ * Set the offset of the first document (zero-based, like "start").
+ *
+ * Arguments:
+ *  start - integer
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.set_start = function(start){
+    return this.set('start', Math.max(0, parseInt(start)));
+};
+
+/*
+ * Function: set_rows
+ *
+ * Set the number of rows wanted.
+ *
+ * Arguments:
+ *  rows - integer
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.set_rows = function(rows){
+    return this.set('rows', Math.max(0, parseInt(rows)));
+};
+
+/*
+ * Function: next_page
+ *
+ * Move the start on by the number of rows (10 if unset).
+ *
+ * Solr does not allow a start other than zero with cursor paging, so
+ * with a "cursorMark" this throws; use the response's
+ * next_cursor_parameters() instead.
+ *
+ * Arguments:
+ *  n/a
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.next_page = function(){
+    this._check_not_cursor();
+    return this.set_start(this._start() + this._rows());
+};
+
+/*
+ * Function: previous_page
+ *
+ * Move the start back by the number of rows (10 if unset), but not
+ * past the beginning.
+ *
+ * As with <next_page>, this throws with a "cursorMark"; cursors only
+ * go forwards.
+ *
+ * Arguments:
+ *  n/a
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.previous_page = function(){
+    this._check_not_cursor();
+    return this.set_start(this._start() - this._rows());
+};
+
+request.prototype._check_not_cursor = function(){
+    if( typeof(this._params['cursorMark']) !== 'undefined' ){
+	throw new Error('cannot page by start with a cursorMark');
+    }
+};
+
+request.prototype._start = function(){
+    var start = parseInt(this._params['start']);
+    return isNaN(start) ? 0 : start;
+};
+
+request.prototype._rows = function(){
+    var rows = parseInt(this._params['rows']);
+    return isNaN(rows) ? 10 : rows;
+};
+
+/*
+ * Function: query_filter_strings
+ *
+ * Return the current filters ("fq") as a list, whatever their
+ * number.
+ *
+ * Arguments:
+ *  n/a
+ *
+ * Returns:
+ *  list of strings
+ */
+request.prototype.query_filter_strings = function(){
+    return this._list('fq');
+};
+
+/*
+ * Function: add_query_filter
+ *
+ * Add a filter on a field value, e.g. source:"MGI" or, for negative
+ * filters, -source:"MGI". Ranges in the form given by query_filters()
+ * in the response (e.g. "[2010 TO *]") are added as ranges, not
+ * quoted. Any existing filter on that field value is replaced.
+ *
+ * Arguments:
+ *  field - the field to filter on
+ *  value - the value to filter with
+ *  polarity - *[optional]* true (default) to require, false to exclude
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.add_query_filter = function(field, value, polarity){
+    this.remove_query_filter(field, value);
+    return this.add_query_filter_string(_filter_string(field, value, polarity));
+};
+
+/*
+ * Function: add_query_filter_string
+ *
+ * Add a filter as a raw string, as-is.
+ *
+ * Arguments:
+ *  fq - the filter string
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.add_query_filter_string = function(fq){
+    var fqs = this._list('fq');
+    if( ! us.contains(fqs, fq) ){
+	fqs.push(fq);
+    }
+    return this._set_list('fq', fqs);
+};
+
+/*
+ * Function: remove_query_filter
+ *
+ * Remove any simple filter (see query_filters() in the response) on
+ * a field value, positive or negative.
+ *
+ * Arguments:
+ *  field - the filtered field
+ *  value - the filtered value
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.remove_query_filter = function(field, value){
+    var fqs = us.reject(this._list('fq'), function(fq){
+	var simple = query_parser.simple_filter_string(fq);
+	return simple && simple[0] === field && simple[1] === value;
+    });
+    return this._set_list('fq', fqs);
+};
+
+/*
+ * Function: remove_query_filter_string
+ *
+ * Remove a filter by its raw string.
+ *
+ * Arguments:
+ *  fq - the filter string
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.remove_query_filter_string = function(fq){
+    return this._set_list('fq', us.without(this._list('fq'), fq));
+};
+
+/*
+ * Function: negate_query_filter
+ *
+ * Flip the polarity of any simple filter on a field value, so
+ * source:"MGI" becomes -source:"MGI" and vice versa. The filter is
+ * otherwise kept as it was, local params and all, by adding or
+ * removing the leading negation; filters where that would not do
+ * (e.g. {!term f=source}MGI) are rewritten in the add_query_filter
+ * form, losing their local params.
+ *
+ * Arguments:
+ *  field - the filtered field
+ *  value - the filtered value
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.negate_query_filter = function(field, value){
+    var fqs = us.map(this._list('fq'), function(fq){
+	var simple = query_parser.simple_filter_string(fq);
+	if( simple && simple[0] === field && simple[1] === value ){
+	    fq = _negated_filter_string(fq, simple);
+	}
+	return fq;
+    });
+    return this._set_list('fq', us.uniq(fqs));
+};
+
+/*
+ * Function: facet
+ *
+ * Turn faceting on or off.
+ *
+ * Arguments:
+ *  on_p - boolean
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.facet = function(on_p){
+    return this.set('facet', on_p ? 'true' : 'false');
+};
+
+/*
+ * Function: add_facet_field
+ *
+ * Add a field to facet on (turning faceting on).
+ *
+ * Arguments:
+ *  field - the field name
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.add_facet_field = function(field){
+    var ffs = this._list('facet.field');
+    if( ! us.contains(ffs, field) ){
+	ffs.push(field);
+    }
+    this.facet(true);
+    return this._set_list('facet.field', ffs);
+};
+
+/*
+ * Function: remove_facet_field
+ *
+ * Stop faceting on a field.
+ *
+ * Arguments:
+ *  field - the field name
+ *
+ * Returns:
+ *  this request (for chaining)
+ */
+request.prototype.remove_facet_field = function(field){
+    return this._set_list('facet.field',
+			  us.without(this._list('facet.field'), field));
+};
+
+/*
+ * Function: query_string
+ *
+ * Serialize the parameters into an encoded query string (without
+ * the leading "?"), with one key=value pair per value. This parses
+ * back into the same parameters with <parse_query_string>.
+ *
+ * Arguments:
+ *  n/a
+ *
+ * Returns:
+ *  string
+ */
+request.prototype.query_string = function(){
+    var pairs = [];
+    us.each(this._params, function(val, key){
+	var vals = bbop.what_is(val) === 'array' ? val : [val];
+	us.each(vals, function(v){
+	    pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(v));
+	});
+    });
+    return pairs.join('&');
+};
+
+/*
+ * Function: url
+ *
+ * Return the full select URL for the parameters.
+ *
+ * Arguments:
+ *  base_url - the GOlr server select URL, e.g. "http://golr.example.org/solr/select"
+ *
+ * Returns:
+ *  string
+ */
+request.prototype.url = function(base_url){
+    var sep = (base_url.indexOf('?') === -1) ? '?' : '&';
+    if( base_url.charAt(base_url.length - 1) === '?' ||
+	base_url.charAt(base_url.length - 1) === '&' ){
+	    sep = '';
+	}
+    return base_url + sep + this.query_string();
+};
+
+// A parameter as a list, whatever its form.
+request.prototype._list = function(key){
+    return as_list(this._params[key]);
+};
+
+// Set a list parameter, in the form the server would echo it: gone
+// if empty, a string if single.
+request.prototype._set_list = function(key, list){
+    if( list.length === 0 ){
+	delete this._params[key];
+    }else if( list.length === 1 ){
+	this._params[key] = list[0];
+    }else{
+	this._params[key] = list;
+    }
+    return this;
+};
+
+/*
+ * Function: as_list
+ *
+ * A parameter value as a (new) list, whatever its form: lists are
+ * copied, single values wrapped, and missing values are empty.
+ *
+ * Arguments:
+ *  val - a parameter value
+ *
+ * Returns:
+ *  list
+ */
+function as_list(val){
+    var ret = [];
+    if( bbop.what_is(val) === 'array' ){
+	ret = val.slice(0);
+    }else if( typeof(val) !== 'undefined' && val !== null ){
+	ret = [val];
+    }
+    return ret;
+}
+
+// A filter string for a field value; canonical ranges are left as
+// they are.
+function _filter_string(field, value, polarity){
+    var fval = /^[\[\{].* TO .*[\]\}]$/.test(value) ? value : quote(value);
+    return (polarity === false ? '-' : '') + field + ':' + fval;
+}
+
+// Split a filter string into its local params ("{!...}") and the rest.
+function _split_local_params(fq){
+    var ret = ['', fq];
+    var start = fq.indexOf('{!');
+    if( start !== -1 && /^\s*$/.test(fq.substring(0, start)) ){
+	var quote_char = null;
+	for( var i = start + 2; i < fq.length; i++ ){
+	    var c = fq.charAt(i);
+	    if( quote_char ){
+		if( c === '\\' ){
+		    i++;
+		}else if( c === quote_char ){
+		    quote_char = null;
+		}
+	    }else if( c === '"' || c === '\'' ){
+		quote_char = c;
+	    }else if( c === '}' ){
+		ret = [fq.substring(0, i + 1), fq.substring(i + 1)];
+		break;
+	    }
+	}
+    }
+    return ret;
+}
+
+// The filter string with its polarity flipped, by adding or removing
+// the leading negation of the query. If that does not give the
+// opposite simple filter, rewrite it from scratch.
+function _negated_filter_string(fq, simple){
+    var split = _split_local_params(fq);
+    var lead = /^\s*/.exec(split[1])[0];
+    var body = split[1].substring(lead.length);
+    if( /^[\-!]/.test(body) ){
+	body = body.substring(1);
+    }else if( /^NOT\s/.test(body) ){
+	body = body.substring(3).replace(/^\s+/, '');
+    }else{
+	body = '-' + body;
+    }
+
+    var ret = split[0] + lead + body;
+    var check = query_parser.simple_filter_string(ret);
+    if( ! check || check[0] !== simple[0] || check[1] !== simple[1] ||
+	check[2] === simple[2] ){
+	    ret = _filter_string(simple[0], simple[1], ! simple[2]);
+	}
+    return ret;
+}
+
+/*
+ * Function: quote
+ *
+ * Quote a value for use in a filter, escaping any backslashes and
+ * double quotes in it.
+ *
+ * Arguments:
+ *  value - string
+ *
+ * Returns:
+ *  string
+ */
+function quote(value){
+    return '"' + ('' + value).replace(/(["\\])/g, '\\$1') + '"';
+}
+
+/*
+ * Function: parse_query_string
+ *
+ * Parse a query string (or a full URL) into a parameter hash, in the
+ * same form as a response's parameters(): single values as strings
+ * and repeated values as lists.
+ *
+ * Arguments:
+ *  qstr - query string, with or without the URL and leading "?"
+ *
+ * Returns:
+ *  hash
+ */
+function parse_query_string(qstr){
+    var ret = {};
+    var qpos = qstr.indexOf('?');
+    if( qpos !== -1 ){
+	qstr = qstr.substring(qpos + 1);
+    }
+    us.each(qstr.split('&'), function(pair){
+	if( pair !== '' ){
+	    var epos = pair.indexOf('=');
+	    var key = (epos === -1) ? pair : pair.substring(0, epos);
+	    var val = (epos === -1) ? '' : pair.substring(epos + 1);
+	    key = decodeURIComponent(key.replace(/\+/g, ' '));
+	    val = decodeURIComponent(val.replace(/\+/g, ' '));
+	    if( typeof(ret[key]) === 'undefined' ){
+		ret[key] = val;
+	    }else if( bbop.what_is(ret[key]) === 'array' ){
+		ret[key].push(val);
+	    }else{
+		ret[key] = [ret[key], val];
+	    }
+	}
+    });
+    return ret;
+}
+
+///
+/// Exportable body.
+///
+
+request.quote = quote;
+request.as_list = as_list;
+request.parse_query_string = parse_query_string;
+
+module.exports = request;
@@ -15,6 +15,14 @@ var bbop = require('bbop-core');
 var us = require('underscore');
 
 var bbop_rest_response = require('bbop-rest-response');
+var query_parser = require('./query_parser');
+var request = require('./request');
+var schema = require('./schema');
+var solr_xml = require('./solr_xml');
+var solr_csv = require('./solr_csv');
+var json_stream = require('./json_stream');
+var cache = require('./cache');
+var events = require('events');
 
 /*
  * Constructor: response
@@ -41,8 +49,15 @@ var response = function(json_data){
     //   this._okay (parsability)
     // are left to the superclass.
 
-    // Cache for repeated calls to success().
-    this._success = null;
+    // Cache for repeated calls to success(), by profile name.
+    this._success = {};
+
+    // The validation profile to use when one isn't given.
+    this._validation_profile = 'golr';
+
+    // Cache for repeated calls to error().
+    this._error = null;
+    this._error_checked = false;
 
     // Cache for repeated calls to get_doc* functions.
     // These are non-incremental indices--they are either full formed
@@ -50,13 +65,34 @@ var response = function(json_data){
     this._doc_id2index = null;
     this._doc_index2_id = null;
 
+    // Cache for the flattened documents of a grouped response.
+    this._grouped_docs = null;
+
     // Cache for repeated calls to resolve labels.
     // This cache is incremental--the more it's used the larger it gets.
     this._doc_label_maps = {}; // {<field_1>: <parsed_json_map_1>, ...}
 
+    // Response-wide label index; built in one go the first time.
+    this._label_index = null;
+
+    // The optional GOlr schema and the documents typed by it.
+    this._schema = null;
+    this._typed_docs = null;
+
+    // Set when this response is the product of merge().
+    this._merge_report = null;
+
     // For highlight stripping, I just want to compile this once.
     this._hl_regexp = new RegExp("\<\[\^\>\]\*\>", "g");
 
+    // Set to the number of documents read when they were streamed
+    // past rather than kept (see read_stream()).
+    this._streamed_count = null;
+
+    // Free-form information about where this response came from, kept
+    // in snapshots (see toJSON()).
+    this._metadata = {};
+
 };
 bbop.extend(response, bbop_rest_response.json);
 
@@ -80,38 +116,41 @@ response.prototype.raw = function(){
  * 
  * Simple return verification of sane response from server.
  * 
- * Success caches its return value.
+ * What "sane" means depends on the validation profile used; by
+ * default this is the strict "golr" profile, which expects
+ * everything that a GOlr search would return (see <diagnose> for the
+ * profiles and their checks). The profile may be given here or set
+ * for the response with <validation_profile>.
+ * 
+ * Success caches its return value (per named profile).
  * 
  * Arguments:
- *  n/a
+ *  profile - *[optional]* profile name or list of check names
  * 
  * Returns:
  *  boolean
  */
-response.prototype.success = function(){
+response.prototype.success = function(profile){
 
-    if( this._success === null ){
+    var pname = null;
+    if( bbop.what_is(profile) === 'string' ){
+	pname = profile;
+    }else if( ! bbop.is_defined(profile) ){
+	pname = this._validation_profile;
+    }
 
-	var robj = this._raw;
-	if( robj &&
-	    robj.responseHeader &&
-	    typeof robj.responseHeader.status !== 'undefined' &&
-	    robj.responseHeader.status === 0 &&
-	    robj.responseHeader.params &&
-	    robj.response &&
-	    typeof robj.response.numFound !== 'undefined' &&
-	    typeof robj.response.start !== 'undefined' &&
-	    typeof robj.response.maxScore !== 'undefined' &&
-	    robj.response.docs &&
-	    robj.facet_counts &&
-	    robj.facet_counts.facet_fields ){
-		this._success = true;
-	    }else{
-		this._success = false;
-	    }
+    var retval = null;
+    if( pname !== null && typeof(this._success[pname]) !== 'undefined' ){
+	retval = this._success[pname];
+    }else{
+	var report = this.diagnose(profile);
+	retval = report['okay'];
+	if( pname !== null ){
+	    this._success[pname] = retval;
+	}
     }
 
-    return this._success;
+    return retval;
 };
 
 /*
@@ -120,15 +159,491 @@ response.prototype.success = function(){
  * Alias for <success>.
  * 
  * Arguments:
+ *  profile - *[optional]* profile name or list of check names
+ * 
+ * Returns:
+ *  boolean
+ */
+response.prototype.okay = function(profile){
+    return this.success(profile);
+};
+
+/*
+ * Function: validation_profile
+ * 
+ * Getter/setter for the validation profile used by <success> (and
+ * <okay>, <diagnose>) when one is not given explicitly. Defaults to
+ * "golr".
+ * 
+ * Arguments:
+ *  profile - *[optional]* profile name or list of check names
+ * 
+ * Returns:
+ *  the current profile
+ */
+response.prototype.validation_profile = function(profile){
+    if( bbop.is_defined(profile) ){
+	if( bbop.what_is(profile) === 'string' &&
+	    ! _validation_profiles[profile] ){
+		throw new Error('unknown validation profile: ' + profile);
+	    }
+	this._validation_profile = profile;
+    }
+    return this._validation_profile;
+};
+
+/*
+ * Function: diagnose
+ * 
+ * Check the response against a validation profile and report every
+ * problem found, rather than the simple yes/no of <success>.
+ * 
+ * : {okay: false, profile: "golr",
+ * :  problems: [{check: "max_score", path: "response.maxScore",
+ * :              message: "missing"}, ...]}
+ * 
+ * The named profiles are:
+ *  "golr" - a full GOlr search: everything below but grouped
+ *  "select" - a plain select: header, status, response, num_found, start, docs
+ *  "no_facet" - "golr" without facet_counts and facet_fields
+ *  "no_score" - "golr" without max_score
+ * 
+ * A custom profile is just a list of the check names:
+ *  header - responseHeader is a hash
+ *  status - responseHeader.status is zero
+ *  params - responseHeader.params is a hash (not there with echoParams=none)
+ *  response - response is a hash
+ *  num_found - response.numFound is a number
+ *  start - response.start is a number
+ *  max_score - response.maxScore is there (not there if fl lacks score)
+ *  docs - response.docs is a list
+ *  facet_counts - facet_counts is a hash
+ *  facet_fields - facet_counts.facet_fields is a hash
+ *  grouped - grouped is a hash of groupings, each with matches
+ * 
+ * Grouped (group=true) responses have their results in "grouped"
+ * rather than "response", so for these the response, num_found,
+ * start, max_score, and docs checks are swapped for the grouped
+ * check.
+ * 
+ * Arguments:
+ *  profile - *[optional]* profile name or list of check names
+ * 
+ * Returns:
+ *  hash
+ */
+response.prototype.diagnose = function(profile){
+
+    if( ! bbop.is_defined(profile) ){
+	profile = this._validation_profile;
+    }
+
+    var pname = null;
+    var check_names = null;
+    if( bbop.what_is(profile) === 'string' ){
+	pname = profile;
+	check_names = _validation_profiles[profile];
+	if( ! check_names ){
+	    throw new Error('unknown validation profile: ' + profile);
+	}
+    }else if( bbop.what_is(profile) === 'array' ){
+	pname = 'custom';
+	check_names = profile;
+    }else{
+	throw new Error('validation profile must be a name or a list');
+    }
+
+    us.each(check_names, function(cname){
+	if( ! _validation_checks[cname] ){
+	    throw new Error('unknown validation check: ' + cname);
+	}
+    });
+
+    // Grouped responses have their results elsewhere.
+    if( this.grouped_p() ){
+	var ungrouped = us.difference(check_names, _response_checks);
+	if( ungrouped.length !== check_names.length ){
+	    check_names = us.union(ungrouped, ['grouped']);
+	}
+    }
+
+    var robj = this._raw;
+    var problems = [];
+
+    // An unparsable (or empty) response can't be checked any further.
+    if( ! robj || ! bbop.is_hash(robj) ){
+	problems.push({
+	    'check': 'parse',
+	    'path': '',
+	    'message': 'no parsable response'
+	});
+    }else{
+	us.each(_validation_check_order, function(cname){
+	    if( us.contains(check_names, cname) ){
+		var check = _validation_checks[cname];
+		var msg = check.test(robj);
+		if( msg ){
+		    problems.push({
+			'check': cname,
+			'path': check.path,
+			'message': msg
+		    });
+		}
+	    }
+	});
+    }
+
+    return {
+	'okay': problems.length === 0,
+	'profile': pname,
+	'problems': problems
+    };
+};
+
+// Pull the value at a dotted path out of a hash, or undefined.
+function _path_value(obj, path){
+    var ret = obj;
+    us.each(path.split('.'), function(step){
+	if( ret !== null && typeof(ret) !== 'undefined' &&
+	    bbop.is_hash(ret) ){
+		ret = ret[step];
+	    }else{
+		ret = undefined;
+	    }
+    });
+    return ret;
+}
+
+// Make a check that something is at the path and looks right.
+function _validation_check(path, test, expected){
+    return {
+	'path': path,
+	'test': function(robj){
+	    var retmsg = null;
+	    var val = _path_value(robj, path);
+	    if( typeof(val) === 'undefined' || val === null ){
+		retmsg = 'missing';
+	    }else if( test && ! test(val) ){
+		retmsg = 'malformed: expected ' + expected;
+	    }
+	    return retmsg;
+	}
+    };
+}
+
+var _validation_checks = {
+    'header': _validation_check('responseHeader', bbop.is_hash, 'hash'),
+    'status': {
+	'path': 'responseHeader.status',
+	'test': function(robj){
+	    var retmsg = null;
+	    var status = _path_value(robj, 'responseHeader.status');
+	    if( typeof(status) === 'undefined' || status === null ){
+		retmsg = 'missing';
+	    }else if( status !== 0 ){
+		retmsg = 'non-zero status: ' + status;
+		if( robj.error && robj.error.msg ){
+		    retmsg += ' (' + robj.error.msg + ')';
+		}
+	    }
+	    return retmsg;
+	}
+    },
+    'params': _validation_check('responseHeader.params', bbop.is_hash,
+				'hash'),
+    'response': _validation_check('response', bbop.is_hash, 'hash'),
+    'num_found': _validation_check('response.numFound', _numberish_p,
+				   'number'),
+    'start': _validation_check('response.start', _numberish_p, 'number'),
+    'max_score': _validation_check('response.maxScore', null, null),
+    'docs': _validation_check('response.docs', bbop.is_array, 'list'),
+    'facet_counts': _validation_check('facet_counts', bbop.is_hash, 'hash'),
+    'facet_fields': _validation_check('facet_counts.facet_fields',
+				      bbop.is_hash, 'hash'),
+    'grouped': _validation_check('grouped', function(grouped){
+	return bbop.is_hash(grouped) &&
+	    us.every(grouped, function(grouping){
+		return bbop.is_hash(grouping) &&
+		    _numberish_p(grouping['matches']);
+	    });
+    }, 'hash of groupings')
+};
+var _validation_check_order =
+	['header', 'status', 'params', 'response', 'num_found', 'start',
+	 'max_score', 'docs', 'grouped', 'facet_counts', 'facet_fields'];
+
+// The checks that are about the "response" section.
+var _response_checks =
+	['response', 'num_found', 'start', 'max_score', 'docs'];
+
+var _validation_profiles = {
+    'golr': us.without(_validation_check_order, 'grouped'),
+    'select': ['header', 'status', 'response', 'num_found', 'start', 'docs'],
+    'no_facet': us.without(_validation_check_order,
+			   'grouped', 'facet_counts', 'facet_fields'),
+    'no_score': us.without(_validation_check_order, 'grouped', 'max_score')
+};
+
+// Whether the value is a number or a string that reads as one.
+function _numberish_p(val){
+    return ! isNaN(parseFloat(val)) && isFinite(val);
+}
+
+/*
+ * Function: error_p
+ * 
+ * Whether or not the server reported an error: either a non-zero
+ * status in the response header or an "error" block in the
+ * response.
+ * 
+ * Note that this is not simply the opposite of <success>; a response
+ * may not be an error and still be missing things that we'd want.
+ * 
+ * Arguments:
  *  n/a
  * 
  * Returns:
  *  boolean
  */
-response.prototype.okay = function(){
-    return this.success();
+response.prototype.error_p = function(){
+    var robj = this._raw;
+    var retval = false;
+    if( robj && bbop.is_hash(robj) ){
+	if( robj.error ||
+	    ( robj.responseHeader &&
+	      typeof robj.responseHeader.status !== 'undefined' &&
+	      robj.responseHeader.status !== 0 ) ){
+		retval = true;
+	    }
+    }
+    return retval;
+};
+
+/*
+ * Function: error
+ * 
+ * Return a structured description of the error reported by the
+ * server, or null if there was no error (see <error_p>).
+ * 
+ * : {status: 400, code: 400, type: "syntax",
+ * :  message: "org.apache.solr.search.SyntaxError: Cannot parse...",
+ * :  parameter: "fq", value: "source:(MGI", field: null,
+ * :  line: 1, column: 12, near: "source:(MGI",
+ * :  trace_p: false, trace: null}
+ * 
+ * The type is one of:
+ *  "syntax" - the query (or a filter) could not be parsed
+ *  "undefined_field" - a field is not in the schema
+ *  "timeout" - the server or a proxy gave up waiting
+ *  "bad_request" - some other 4xx problem with the request
+ *  "server" - some other 5xx fault on the server side
+ *  "unknown" - none of the above
+ * 
+ * Where it can be worked out, parameter is the name of the incoming
+ * parameter that caused the problem ("q", "fq", "fl", etc.) and
+ * value is the offending value of that parameter. For syntax errors,
+ * line and column are from the parser and near is the bit of the
+ * value around the column. The other fields are null when unknown.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  hash or null
+ */
+response.prototype.error = function(){
+
+    if( ! this._error_checked ){
+
+	var robj = this._raw;
+	var ret = null;
+
+	if( this.error_p() ){
+
+	    var eblock = robj.error || {};
+
+	    var status = null;
+	    if( robj.responseHeader &&
+		typeof robj.responseHeader.status !== 'undefined' ){
+		    status = parseInt(robj.responseHeader.status);
+		}
+	    var code = status;
+	    if( typeof(eblock.code) !== 'undefined' ){
+		code = parseInt(eblock.code);
+	    }
+
+	    var trace = null;
+	    if( eblock.trace && bbop.what_is(eblock.trace) === 'string' ){
+		trace = eblock.trace;
+	    }
+
+	    // Server faults may only come with a trace; use the top
+	    // line for a message.
+	    var msg = null;
+	    if( eblock.msg && bbop.what_is(eblock.msg) === 'string' ){
+		msg = eblock.msg;
+	    }else if( trace ){
+		msg = trace.split('\n')[0];
+	    }
+
+	    ret = {
+		'status': status,
+		'code': code,
+		'type': _error_type(code, msg),
+		'message': msg,
+		'parameter': null,
+		'value': null,
+		'field': null,
+		'line': null,
+		'column': null,
+		'near': null,
+		'trace_p': trace ? true : false,
+		'trace': trace
+	    };
+
+	    // Dig out what we can about the culprit.
+	    var params = this._params();
+	    var match = null;
+	    if( ret['type'] === 'syntax' && msg ){
+		match = /Cannot parse '([\s\S]*?)':/.exec(msg);
+		if( match ){
+		    ret['value'] = match[1];
+		    ret['parameter'] = _param_holding(params, function(v){
+			return v === match[1];
+		    });
+		}
+		var pos = /at line (\d+), column (\d+)/.exec(msg);
+		if( pos ){
+		    ret['line'] = parseInt(pos[1]);
+		    ret['column'] = parseInt(pos[2]);
+		    if( ret['value'] !== null ){
+			// Columns count from one.
+			var col = Math.min(ret['column'],
+					   ret['value'].length) - 1;
+			ret['near'] = ret['value'].substring(
+			    Math.max(0, col - 10), col + 11);
+		    }
+		}
+	    }else if( ret['type'] === 'undefined_field' && msg ){
+		match = /undefined field:?\s+"?([^\s"]+)"?/.exec(msg);
+		if( match ){
+		    ret['field'] = match[1];
+		    ret['parameter'] = _param_holding(params, function(v){
+			return v.indexOf(match[1]) !== -1;
+		    });
+		    if( ret['parameter'] !== null ){
+			ret['value'] = _param_value_holding(
+			    params[ret['parameter']], function(v){
+				return v.indexOf(match[1]) !== -1;
+			    });
+		    }
+		}
+	    }
+	}
+
+	this._error = ret;
+	this._error_checked = true;
+    }
+
+    return this._error;
+};
+
+/*
+ * Function: error_message
+ * 
+ * The message from the server error, if there was one.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  string or null
+ */
+response.prototype.error_message = function(){
+    var err = this.error();
+    return err ? err['message'] : null;
+};
+
+/*
+ * Function: error_code
+ * 
+ * The (HTTP-like) code of the server error, if there was one.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  integer or null
+ */
+response.prototype.error_code = function(){
+    var err = this.error();
+    return err ? err['code'] : null;
+};
+
+/*
+ * Function: error_type
+ * 
+ * The classification of the server error, if there was one. See
+ * <error> for the possible values.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  string or null
+ */
+response.prototype.error_type = function(){
+    var err = this.error();
+    return err ? err['type'] : null;
 };
 
+// Sort an error into a rough type from its code and message.
+function _error_type(code, msg){
+    var ret = 'unknown';
+    var m = msg || '';
+    if( /SyntaxError|ParseException|Cannot parse/.test(m) ){
+	ret = 'syntax';
+    }else if( /undefined field/i.test(m) ){
+	ret = 'undefined_field';
+    }else if( code === 408 || code === 504 ||
+	      /time(d)? ?out|timeAllowed|time allowed/i.test(m) ){
+	ret = 'timeout';
+    }else if( code !== null && code >= 400 && code < 500 ){
+	ret = 'bad_request';
+    }else if( code !== null && code >= 500 ){
+	ret = 'server';
+    }
+    return ret;
+}
+
+// Return the value in a (string or list) parameter that passes the
+// test, or null.
+function _param_value_holding(pval, test){
+    var ret = null;
+    var vals = bbop.what_is(pval) === 'array' ? pval : [pval];
+    us.each(vals, function(v){
+	if( ret === null && bbop.what_is(v) === 'string' && test(v) ){
+	    ret = v;
+	}
+    });
+    return ret;
+}
+
+// Return the name of the first parameter that has a value passing
+// the test, or null. The query and filters are checked first as the
+// likeliest culprits.
+function _param_holding(params, test){
+    var ret = null;
+    var keys = us.union(['q', 'fq'], us.keys(params).sort());
+    us.each(keys, function(key){
+	if( ret === null && typeof(params[key]) !== 'undefined' &&
+	    _param_value_holding(params[key], test) !== null ){
+		ret = key;
+	    }
+    });
+    return ret;
+}
+
 /*
  * Function: callback_type
  * 
@@ -142,11 +657,11 @@ response.prototype.okay = function(){
  *  string (or null)
  */
 response.prototype.callback_type = function(){
-    var robj = this._raw;
+    var params = this._params();
     var retval = null;
-    if( robj.responseHeader.params.callback_type &&
-	typeof robj.responseHeader.params.callback_type !== 'undefined' ){
-	    retval = robj.responseHeader.params.callback_type;
+    if( params.callback_type &&
+	typeof params.callback_type !== 'undefined' ){
+	    retval = params.callback_type;
 	}
     return retval;
 };
@@ -165,8 +680,7 @@ response.prototype.callback_type = function(){
  *  hash
  */
 response.prototype.parameters = function(){
-    var robj = this._raw;
-    return robj.responseHeader.params;
+    return this._params();
 };
 
 /*
@@ -184,14 +698,36 @@ response.prototype.parameters = function(){
  *  hash, string, whatever is there at that key (otherwise null)
  */
 response.prototype.parameter = function(key){
-    var robj = this._raw;
+    var params = this._params();
     var retval = null;
-    if( robj.responseHeader.params[key] && robj.responseHeader.params[key] ){
-	retval = robj.responseHeader.params[key];
+    if( params[key] && params[key] ){
+	retval = params[key];
     }
     return retval;
 };
 
+// The echoed parameters, or an empty hash when there are none to be
+// had (e.g. an error response or echoParams=none).
+response.prototype._params = function(){
+    var robj = this._raw;
+    var ret = {};
+    if( robj && robj.responseHeader && robj.responseHeader.params ){
+	ret = robj.responseHeader.params;
+    }
+    return ret;
+};
+
+// The results ("response") section, or null when there is none to
+// be had (e.g. an error response).
+response.prototype._results = function(){
+    var robj = this._raw;
+    var ret = null;
+    if( robj && robj.response && bbop.is_hash(robj.response) ){
+	ret = robj.response;
+    }
+    return ret;
+};
+
 /*
  * Function: row_step
  * 
@@ -204,8 +740,7 @@ response.prototype.parameter = function(key){
  *  integer
  */
 response.prototype.row_step = function(){	
-    var robj = this._raw;
-    return parseInt(robj.responseHeader.params.rows);
+    return parseInt(this._params().rows);
 };
 
 /*
@@ -213,6 +748,12 @@ response.prototype.row_step = function(){
  * 
  * Return the total number of documents found.
  * 
+ * For grouped responses, this is the number of matching documents
+ * for the first grouping (see <total_groups> for the number of
+ * groups).
+ * 
+ * Responses without results (e.g. errors) have no documents.
+ * 
  * Arguments:
  *  n/a
  * 
@@ -220,8 +761,14 @@ response.prototype.row_step = function(){
  *  integer
  */
 response.prototype.total_documents = function(){
-    var robj = this._raw;
-    return parseInt(robj.response.numFound);
+    var results = this._results();
+    if( this.grouped_p() ){
+	return parseInt(this.group(this.group_list()[0])['matches']);
+    }
+    if( ! results ){
+	return 0;
+    }
+    return parseInt(results.numFound);
 };
 
 /*
@@ -229,15 +776,25 @@ response.prototype.total_documents = function(){
  * 
  * Returns the start document for this response as an integer.
  * 
+ * For grouped responses, start and rows count groups, so this is the
+ * start group (or the start document, for group.format=simple and
+ * query groups).
+ * 
  * Arguments:
  *  n/a
  * 
  * Returns:
- *  integer
+ *  integer or null (no results, e.g. an error)
  */
 response.prototype.start_document = function(){
-    var robj = this._raw;
-    return parseInt(robj.response.start) + 1;
+    var results = this._results();
+    if( this.grouped_p() ){
+	return this._group_page()['start'] + 1;
+    }
+    if( ! results ){
+	return null;
+    }
+    return parseInt(results.start) + 1;
 };
 
 /*
@@ -249,12 +806,27 @@ response.prototype.start_document = function(){
  *  n/a
  * 
  * Returns:
- *  integer
+ *  integer or null (no results, e.g. an error)
  */
 response.prototype.end_document = function(){
-    var robj = this._raw;
-    return this.start_document() +
-	parseInt(robj.response.docs.length) - 1;
+    if( this.grouped_p() ){
+	return this.start_document() + this._group_page()['count'] - 1;
+    }
+    if( ! this._results() ){
+	return null;
+    }
+    return this.start_document() + this._page_count() - 1;
+};
+
+// The number of documents in this page of results, counting
+// documents that were streamed past rather than kept (see
+// read_stream()).
+response.prototype._page_count = function(){
+    var count = this.documents().length;
+    if( this._streamed_count !== null ){
+	count = this._streamed_count;
+    }
+    return parseInt(count);
 };
 
 /*
@@ -269,9 +841,8 @@ response.prototype.end_document = function(){
  *  integer or null (no packet defined)
  */
 response.prototype.packet = function(){
-    var robj = this._raw;
     var retval = null;
-    var pval = robj.responseHeader.params.packet;
+    var pval = this._params().packet;
     if( pval ){
 	retval = parseInt(pval);
     }
@@ -292,7 +863,9 @@ response.prototype.packet = function(){
 response.prototype.paging_p = function(){
     var robj = this._raw;
     var retval = false;
-    if( this.total_documents() > this.row_step() ){
+    if( this.grouped_p() ){
+	retval = this.paging_previous_p() || this.paging_next_p();
+    }else if( this.total_documents() > this.row_step() ){
 	retval = true;
     }
     return retval;
@@ -325,6 +898,9 @@ response.prototype.paging_previous_p = function(){
  * 
  * Whether or paging forwards is an option right now.
  * 
+ * For cursor paging, this is decided by the cursor marks (see
+ * <cursor_end_p>) rather than the document offsets.
+ * 
  * Arguments:
  *  n/a
  * 
@@ -335,83 +911,519 @@ response.prototype.paging_next_p = function(){
     // We'll take this as a proxy that a step was taken.
     var robj = this._raw;
     var retval = false;
-    if( this.total_documents() > this.end_document() ){
+    if( this.cursor_paging_p() ){
+	retval = ! this.cursor_end_p();
+    }else if( this.grouped_p() ){
+	var page = this._group_page();
+	if( page['total'] !== null ){
+	    retval = page['total'] > this.end_document();
+	}else{
+	    // Without group.ngroups, a full page is our best guess.
+	    retval = page['count'] >= this.row_step();
+	}
+    }else if( this.total_documents() > this.end_document() ){
 	retval = true;	
     }
     return retval;
 };
 
 /*
- * Function: documents
+ * Function: cursor_paging_p
  * 
- * Returns an array of raw and unprocessed document hashes.
+ * Whether or not this response is part of cursor-based ("deep")
+ * paging, i.e. a "cursorMark" was passed in.
  * 
  * Arguments:
  *  n/a
  * 
  * Returns:
- *  hash
+ *  boolean
  */
-response.prototype.documents = function(){
-    var robj = this._raw;
-    return robj.response.docs;
+response.prototype.cursor_paging_p = function(){
+    var retval = false;
+    if( this.cursor_mark() !== null ){
+	retval = true;
+    }
+    return retval;
 };
 
 /*
- * Function: highlighted_documents
+ * Function: cursor_mark
  * 
- * Returns an array of raw and unprocessed document hashes.
+ * Return the cursor mark ("cursorMark") used for this response; "*"
+ * for the first page.
  * 
  * Arguments:
  *  n/a
  * 
  * Returns:
- *  hash
+ *  string or null (not cursor paging)
  */
-response.prototype.highlighted_documents = function(){
-    var robj = this._raw;
-
-    var zipped = us.zip(robj.response.docs, us.values(robj.highlighting));
-    var hl = us.map(zipped, function(tuple) {
-        var json = tuple[0];
-        var highlight = tuple[1];
-
-        return us.mapObject(json, function(val, key) {
-            if(highlight[key] != null) {
-                return highlight[key];
-            } else {
-                return val;
-            }
-        });
-     });
-
-    return hl;
+response.prototype.cursor_mark = function(){
+    var retval = null;
+    var cmark = this._params().cursorMark;
+    if( cmark && bbop.what_is(cmark) === 'string' ){
+	retval = cmark;
+    }
+    return retval;
 };
 
 /*
- * Function: get_doc
+ * Function: next_cursor_mark
  * 
- * Returns a specified document, in its raw hash form.
+ * Return the cursor mark ("nextCursorMark") to use to get the
+ * following page of results.
  * 
  * Arguments:
- *  doc_id - document identifier either an id (first) or place in the array
+ *  n/a
  * 
  * Returns:
- *  document hash or null
+ *  string or null (not cursor paging)
  */
-response.prototype.get_doc = function(doc_id){
-
-    var doc = null;
+response.prototype.next_cursor_mark = function(){
     var robj = this._raw;
+    var retval = null;
+    if( robj && robj.nextCursorMark &&
+	bbop.what_is(robj.nextCursorMark) === 'string' ){
+	    retval = robj.nextCursorMark;
+	}
+    return retval;
+};
+
+/*
+ * Function: cursor_end_p
+ * 
+ * Whether or not cursor paging has run out of results. Solr signals
+ * this by handing back the same cursor mark that was passed in; as a
+ * shortcut, a page with fewer documents than were asked for is also
+ * taken to be the end.
+ * 
+ * Non-cursor responses are always at the end.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  boolean
+ */
+response.prototype.cursor_end_p = function(){
+    var retval = true;
+    var cmark = this.cursor_mark();
+    var nmark = this.next_cursor_mark();
+    if( cmark !== null && nmark !== null && cmark !== nmark ){
+	retval = false;
+	var rows = this.row_step();
+	if( ! isNaN(rows) && this._page_count() < rows ){
+	    retval = true;
+	}
+    }
+    return retval;
+};
+
+/*
+ * Function: next_cursor_parameters
+ * 
+ * Return a copy of the parameters (see <parameters>) with the cursor
+ * mark moved on, ready to use for the request for the following
+ * page. The start is kept at zero, as cursor paging requires.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  hash or null (not cursor paging or no more results)
+ */
+response.prototype.next_cursor_parameters = function(){
+    var retval = null;
+    if( this.cursor_paging_p() && ! this.cursor_end_p() ){
+	retval = bbop.clone(this.parameters());
+	retval['cursorMark'] = this.next_cursor_mark();
+	retval['start'] = '0';
+    }
+    return retval;
+};
+
+/*
+ * Function: grouped_p
+ * 
+ * Whether or not this is a grouped (group=true) response, with the
+ * results in a "grouped" section rather than the usual "response".
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  boolean
+ */
+response.prototype.grouped_p = function(){
+    var robj = this._raw;
+    var retval = false;
+    if( robj && bbop.is_hash(robj) && robj.grouped &&
+	bbop.is_hash(robj.grouped) && ! us.isEmpty(robj.grouped) ){
+	    retval = true;
+	}
+    return retval;
+};
+
+/*
+ * Function: group_list
+ * 
+ * Return the list of groupings in the response: the fields of any
+ * "group.field" and the query strings of any "group.query", in the
+ * order that Solr returned them.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  list of strings
+ */
+response.prototype.group_list = function(){
+    var retval = [];
+    if( this.grouped_p() ){
+	retval = us.keys(this._raw.grouped);
+    }
+    return retval;
+};
+
+/*
+ * Function: group
+ * 
+ * Return a grouping in a consistent form, whatever the grouping type
+ * and "group.format":
+ * 
+ * : {key: "bioentity", type: "field", format: "grouped",
+ * :  matches: 48, ngroups: 12,
+ * :  groups: [{value: "PomBase:SPCC548.04", total: 3, start: 0,
+ * :            docs: [...]}, ...]}
+ * 
+ * Field groupings with the default format have a group per group
+ * value. Query groupings and the "simple" format have a single group
+ * with a null value. The ngroups is null unless "group.ngroups" was
+ * used.
+ * 
+ * Arguments:
+ *  group_key - a field or query string from <group_list>
+ * 
+ * Returns:
+ *  hash or null if the grouping is not in the response
+ */
+response.prototype.group = function(group_key){
+
+    var retval = null;
+
+    if( this.grouped_p() && this._raw.grouped[group_key] ){
+
+	var graw = this._raw.grouped[group_key];
+
+	var _dlist = function(value, dlist){
+	    dlist = dlist || {};
+	    return {
+		'value': value,
+		'total': parseInt(dlist['numFound'] || 0),
+		'start': parseInt(dlist['start'] || 0),
+		'docs': dlist['docs'] || []
+	    };
+	};
+
+	var gtype = 'field';
+	var queries = this._params()['group.query'];
+	if( queries && us.contains([].concat(queries), group_key) ){
+	    gtype = 'query';
+	}
+
+	retval = {
+	    'key': group_key,
+	    'type': gtype,
+	    'format': graw['groups'] ? 'grouped' : 'simple',
+	    'matches': parseInt(graw['matches'] || 0),
+	    'ngroups': null,
+	    'groups': []
+	};
+	if( typeof(graw['ngroups']) !== 'undefined' ){
+	    retval['ngroups'] = parseInt(graw['ngroups']);
+	}
+
+	if( graw['groups'] ){
+	    us.each(graw['groups'], function(grp){
+		retval['groups'].push(_dlist(grp['groupValue'],
+					     grp['doclist']));
+	    });
+	}else{
+	    retval['groups'].push(_dlist(null, graw['doclist']));
+	}
+    }
+
+    return retval;
+};
+
+/*
+ * Function: group_values
+ * 
+ * Return the list of group values for a grouping, in order.
+ * 
+ * Arguments:
+ *  group_key - a field or query string from <group_list>
+ * 
+ * Returns:
+ *  list (of whatever the values are) or null if no such grouping
+ */
+response.prototype.group_values = function(group_key){
+    var retval = null;
+    var grouping = this.group(group_key);
+    if( grouping ){
+	retval = us.pluck(grouping['groups'], 'value');
+    }
+    return retval;
+};
+
+/*
+ * Function: group_documents
+ * 
+ * Return the documents for a single group in a grouping. The group
+ * value may be left out for query groupings and the "simple" format.
+ * 
+ * Arguments:
+ *  group_key - a field or query string from <group_list>
+ *  group_value - *[optional]* the value of the wanted group
+ * 
+ * Returns:
+ *  list of document hashes or null if no such group
+ */
+response.prototype.group_documents = function(group_key, group_value){
+    var retval = null;
+    var grouping = this.group(group_key);
+    if( grouping ){
+	if( typeof(group_value) === 'undefined' ){
+	    group_value = null;
+	}
+	us.each(grouping['groups'], function(grp){
+	    if( retval === null && grp['value'] === group_value ){
+		retval = grp['docs'];
+	    }
+	});
+    }
+    return retval;
+};
+
+/*
+ * Function: total_groups
+ * 
+ * Return the total number of groups for the first grouping (or the
+ * one given). This is only known when "group.ngroups" was used.
+ * 
+ * Arguments:
+ *  group_key - *[optional]* a field or query string from <group_list>
+ * 
+ * Returns:
+ *  integer or null
+ */
+response.prototype.total_groups = function(group_key){
+    var retval = null;
+    if( typeof(group_key) === 'undefined' ){
+	group_key = this.group_list()[0];
+    }
+    var grouping = this.group(group_key);
+    if( grouping ){
+	retval = grouping['ngroups'];
+    }
+    return retval;
+};
+
+// Paging information for a grouped response, from the first
+// grouping. Start and rows step over groups for the default format
+// and over documents otherwise.
+response.prototype._group_page = function(){
+    var grouping = this.group(this.group_list()[0]);
+    var retval = {'start': 0, 'count': 0, 'total': null};
+    if( grouping['format'] === 'grouped' ){
+	var pstart = parseInt(this._params()['start']);
+	retval['start'] = isNaN(pstart) ? 0 : pstart;
+	retval['count'] = grouping['groups'].length;
+	retval['total'] = grouping['ngroups'];
+    }else{
+	var grp = grouping['groups'][0];
+	retval['start'] = grp['start'];
+	retval['count'] = grp['docs'].length;
+	retval['total'] = grp['total'];
+    }
+    return retval;
+};
+
+/*
+ * Function: documents
+ * 
+ * Returns an array of raw and unprocessed document hashes.
+ * 
+ * For grouped responses, these are the documents of all of the
+ * groups of all of the groupings, in order. Responses without results
+ * (e.g. errors) have none.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  list of document hashes
+ */
+response.prototype.documents = function(){
+    var results = this._results();
+    if( this.grouped_p() ){
+	if( ! this._grouped_docs ){
+	    var anchor = this;
+	    var gdocs = [];
+	    us.each(this.group_list(), function(gkey){
+		us.each(anchor.group(gkey)['groups'], function(grp){
+		    gdocs = gdocs.concat(grp['docs']);
+		});
+	    });
+	    this._grouped_docs = gdocs;
+	}
+	return this._grouped_docs;
+    }
+    if( ! results || ! bbop.is_array(results.docs) ){
+	return [];
+    }
+    return results.docs;
+};
+
+/*
+ * Function: highlighted_documents
+ * 
+ * Returns an array of document hashes with the highlighted fragments
+ * in place of the values that were highlighted.
+ * 
+ * Documents are joined to their highlighting by their unique key, so
+ * documents without highlighting (or all documents, with hl off) just
+ * come back as copies of themselves. Each fragment replaces the value
+ * it was found in (matched as in <get_doc_highlights>); a fragment
+ * that is only part of a value replaces just that part. Values that
+ * did not match are kept as they are, and single values stay single.
+ * 
+ * Highlighting on a variant of a field can be folded back into the
+ * field the variant was made from with "fold": e.g. with true,
+ * "<field>_label_searchable" into "<field>_label" and
+ * "<field>_searchable" into "<field>", the usual GOlr variants. Only
+ * fields in the document are changed, and a field's own
+ * highlighting comes before any folded variant.
+ * 
+ * Options:
+ *  unique_key - the unique key field of the schema; defaults to "id"
+ *  fold - hash of variant suffixes to the suffixes of the fields they fold into, or true for the GOlr variants; defaults to none
+ * 
+ * Arguments:
+ *  opts - *[optional]* hash of options
+ * 
+ * Returns:
+ *  list of document hashes
+ */
+response.prototype.highlighted_documents = function(opts){
+    var robj = this._raw;
+    var anchor = this;
+
+    opts = opts || {};
+    var unique_key = opts['unique_key'] || 'id';
+    var fold = opts['fold'] || {};
+    if( fold === true ){
+	fold = _highlight_folds;
+    }
+    var highlighting = robj.highlighting || {};
+
+    var hl = us.map(this.documents(), function(doc){
+	var ret = bbop.clone(doc);
+	var highlight = highlighting[doc[unique_key]];
+	if( ! highlight || ! bbop.is_hash(highlight) ){
+	    return ret;
+	}
+
+	// Put the fragments of a highlighted field into the values of
+	// a document field, leaving values already done alone.
+	var done = {};
+	var _apply = function(target, frags, hfield){
+	    var single_p = ! bbop.is_array(ret[target]);
+	    var values = single_p ? [ret[target]] : ret[target];
+	    done[target] = done[target] || {};
+	    us.each(bbop.is_array(frags) ? frags : [frags], function(frag){
+		var text = anchor._strip_highlight(frag, hfield);
+		var vindex = _highlight_value_index(values, text);
+		if( text !== '' && vindex !== -1 && ! done[target][vindex] ){
+		    var value = values[vindex];
+		    var at = value.indexOf(text);
+		    values[vindex] = value.substring(0, at) + frag +
+			value.substring(at + text.length);
+		    done[target][vindex] = true;
+		}
+	    });
+	    ret[target] = single_p ? values[0] : values;
+	};
+
+	// The field's own highlighting.
+	us.each(highlight, function(frags, hfield){
+	    if( us.has(ret, hfield) && frags != null ){
+		_apply(hfield, frags, hfield);
+	    }
+	});
+
+	// Then the variants, in order.
+	us.each(fold, function(into, suffix){
+	    us.each(highlight, function(frags, hfield){
+		var base = hfield.substring(0, hfield.length - suffix.length);
+		var target = base + into;
+		if( base !== '' && base + suffix === hfield &&
+		    frags != null && us.has(ret, target) ){
+			_apply(target, frags, hfield);
+		    }
+	    });
+	});
+
+	return ret;
+    });
+
+    return hl;
+};
+
+// The usual GOlr highlighting variants, and the fields they fold
+// into (see <highlighted_documents>).
+var _highlight_folds = {
+    '_label_searchable': '_label',
+    '_searchable': ''
+};
+
+// The place of the value that a stripped highlight fragment came
+// from, whole or in part; -1 if none.
+function _highlight_value_index(values, text){
+    var ret = us.indexOf(values, text);
+    if( ret === -1 ){
+	ret = us.findIndex(values, function(v){
+	    return bbop.what_is(v) === 'string' && v.indexOf(text) !== -1;
+	});
+    }
+    return ret;
+}
+
+/*
+ * Function: get_doc
+ * 
+ * Returns a specified document, in its raw hash form.
+ * 
+ * Arguments:
+ *  doc_id - document identifier either an id (first) or place in the array
+ * 
+ * Returns:
+ *  document hash or null
+ */
+response.prototype.get_doc = function(doc_id){
+
+    var doc = null;
+    var robj = this._raw;
+
+    // First check if the document is available by position.
+    var docs = this.documents();
+    if( docs && docs[doc_id] ){
+	doc = docs[doc_id];
+    }else{ // Not available by position, so lets see if we can get it by id.
+	
+	//console.log('in: ' + doc_id + ' _' + this._doc_id2index);
 
-    // First check if the document is available by position.
-    var docs = robj.response.docs;
-    if( docs && docs[doc_id] ){
-	doc = docs[doc_id];
-    }else{ // Not available by position, so lets see if we can get it by id.
-	
-	//console.log('in: ' + doc_id + ' _' + this._doc_id2index);
-
 	// Build the doc index if it isn't there.
 	var local_anchor = this;
 	if( ! this._doc_id2index ){
@@ -447,7 +1459,7 @@ response.prototype.get_doc = function(doc_id){
  * 
  * Remember that determining whether the returned value is a string or
  * a list is left as an exercise for the reader when using this
- * function.
+ * function. With a schema, <get_typed_doc> takes care of that.
  * 
  * Arguments:
  *  doc_id - document identifier either an id (first) or place in the array
@@ -472,41 +1484,150 @@ response.prototype.get_doc_field = function(doc_id, field_id){
 };
 
 /*
- * Function: get_doc_label
+ * Function: schema
  * 
- * Tries to return a label for a document, field, and id combination.
- * 
- * WARNING: This function could be potentially slow on large datasets.
+ * Getter/setter for the GOlr class/field configuration to use for
+ * typed documents (see <typed_documents>). The configuration may be
+ * a schema object or anything that the schema constructor in
+ * schema.js takes: a single class, a hash of classes (as in
+ * golr.json), or a JSON string of either.
  * 
  * Arguments:
- *  doc_id - document identifier either an id (first) or place in the array
- *  field_id - the identifier of the field we're trying to pull
- *  item_id - *[optional]* the item identifier that we're trying to resolve; if the field in question is a string or a single-valued list (as opposed to a multi-values list), this argument is not necessary, but it wouldn't hurt either
+ *  golr_conf - *[optional]* the GOlr configuration or schema object; null to unset
  * 
  * Returns:
- *  null (not found) or string
+ *  schema object or null
  */
-response.prototype.get_doc_label = function(doc_id,field_id,item_id){
-
-    var retval = null;
+response.prototype.schema = function(golr_conf){
+    if( bbop.is_defined(golr_conf) ){
+	this._schema = (golr_conf === null) ? null : schema.ensure(golr_conf);
+	this._typed_docs = null;
+    }
+    return this._schema;
+};
 
-    var anchor = this;
+/*
+ * Function: typed_documents
+ * 
+ * Returns an array of the documents typed by the schema (see
+ * <schema>): multi-valued fields are always lists, single-valued
+ * fields are never lists, and numbers and booleans are typed as
+ * such.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  list of document hashes; throws an Error if there is no schema
+ */
+response.prototype.typed_documents = function(){
+    return us.pluck(this._typed_document_info(), 'doc');
+};
 
-    // If we found our doc, and confirmed that the field in question
-    // exists in the doc, go ahead and start digging to resolve the id.
+/*
+ * Function: get_typed_doc
+ * 
+ * Returns a specified document, typed by the schema (see
+ * <typed_documents>).
+ * 
+ * Arguments:
+ *  doc_id - document identifier either an id (first) or place in the array
+ * 
+ * Returns:
+ *  document hash or null
+ */
+response.prototype.get_typed_doc = function(doc_id){
+    var ret = null;
     var doc = this.get_doc(doc_id);
-    if( doc && typeof(doc[field_id]) !== 'undefined' ){
-	
-	// First try the '_label' extension.
-	var ilabel = this.get_doc_field(doc_id, field_id + '_label');
+    if( doc ){
+	var index = us.indexOf(this.documents(), doc);
+	ret = this._typed_document_info()[index]['doc'];
+    }
+    return ret;
+};
 
-	if( ilabel && bbop.what_is(ilabel) === 'string' ){
-	    // It looks like the simple solution.
-	    //console.log('trivial hit');
-	    retval = ilabel; // Hit!
-	}else if( ilabel && bbop.what_is(ilabel) === 'array' ){
-	    
-	    // Well, it's multi-valued, but id might just be the one.
+/*
+ * Function: schema_warnings
+ * 
+ * The problems found typing the documents by the schema, e.g. fields
+ * that are not in the schema or single-valued fields with more than
+ * one value.
+ * 
+ * : [{id: "PomBase:SPCC548.04_:_GO:0031386", index: 0,
+ * :   field: "foo", message: "not in schema class \"annotation\""}, ...]
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  list of hashes; throws an Error if there is no schema
+ */
+response.prototype.schema_warnings = function(){
+    var ret = [];
+    us.each(this._typed_document_info(), function(info, index){
+	us.each(info['warnings'], function(warning){
+	    ret.push({
+		'id': typeof(info['doc']['id']) === 'undefined' ?
+		    null : info['doc']['id'],
+		'index': index,
+		'field': warning['field'],
+		'message': warning['message']
+	    });
+	});
+    });
+    return ret;
+};
+
+// Type all of the documents once, caching the results.
+response.prototype._typed_document_info = function(){
+    if( ! this._schema ){
+	throw new Error('no schema set for typed documents');
+    }
+    if( ! this._typed_docs ){
+	var sch = this._schema;
+	this._typed_docs = us.map(this.documents(), function(doc){
+	    return sch.type_document(doc);
+	});
+    }
+    return this._typed_docs;
+};
+
+/*
+ * Function: get_doc_label
+ * 
+ * Tries to return a label for a document, field, and id combination.
+ * 
+ * WARNING: This function could be potentially slow on large datasets.
+ * 
+ * Arguments:
+ *  doc_id - document identifier either an id (first) or place in the array
+ *  field_id - the identifier of the field we're trying to pull
+ *  item_id - *[optional]* the item identifier that we're trying to resolve; if the field in question is a string or a single-valued list (as opposed to a multi-values list), this argument is not necessary, but it wouldn't hurt either
+ * 
+ * Returns:
+ *  null (not found) or string
+ */
+response.prototype.get_doc_label = function(doc_id,field_id,item_id){
+
+    var retval = null;
+
+    var anchor = this;
+
+    // If we found our doc, and confirmed that the field in question
+    // exists in the doc, go ahead and start digging to resolve the id.
+    var doc = this.get_doc(doc_id);
+    if( doc && typeof(doc[field_id]) !== 'undefined' ){
+	
+	// First try the '_label' extension.
+	var ilabel = this.get_doc_field(doc_id, field_id + '_label');
+
+	if( ilabel && bbop.what_is(ilabel) === 'string' ){
+	    // It looks like the simple solution.
+	    //console.log('trivial hit');
+	    retval = ilabel; // Hit!
+	}else if( ilabel && bbop.what_is(ilabel) === 'array' ){
+	    
+	    // Well, it's multi-valued, but id might just be the one.
 	    var iid = this.get_doc_field(doc_id, field_id);
 	    if( ilabel.length === 1 && iid &&
 		bbop.what_is(iid) === 'array' &&
@@ -584,294 +1705,2974 @@ response.prototype.get_doc_label = function(doc_id,field_id,item_id){
 	}
     }
 
-    return retval;
+    return retval;
+};
+
+/*
+ * Function: label_index
+ * 
+ * Return an index of ids to labels for the whole response, built
+ * once from every document: the "<field>_map", "<field>_closure_map",
+ * and "<field>_list_map" JSON maps first, then the "<field>" and
+ * "<field>_label" pairs (single values only, as with <get_doc_label>,
+ * as longer lists need not be in the same order). Where documents
+ * disagree, the first label found wins (see <label_index_stats>).
+ * 
+ * : {"GO:0022008": "neurogenesis", ...}
+ * 
+ * Unlike <get_doc_label>, no document needs to be known.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  hash of ids to labels
+ */
+response.prototype.label_index = function(){
+    if( ! this._label_index ){
+	this._build_label_index();
+    }
+    return this._label_index['labels'];
+};
+
+/*
+ * Function: resolve_label
+ * 
+ * Return the label for an id from anywhere in the response, using
+ * <label_index>.
+ * 
+ * Arguments:
+ *  item_id - the id to find a label for
+ * 
+ * Returns:
+ *  string or null
+ */
+response.prototype.resolve_label = function(item_id){
+    var ret = null;
+    var labels = this.label_index();
+    if( us.has(labels, item_id) ){
+	ret = labels[item_id];
+    }
+    return ret;
+};
+
+/*
+ * Function: label_index_stats
+ * 
+ * Return some information about the label index (see
+ * <label_index>):
+ * 
+ * : {documents: 8, labels: 45,
+ * :  unresolved: ["SGD:S000001270", ...],
+ * :  conflicts: [{id: "GO:0003674", labels: ["molecular_function", "mf"]}],
+ * :  bad_maps: 0}
+ * 
+ * The unresolved ids are values of fields that have labels in some
+ * document (e.g. "evidence_with" if there is ever an
+ * "evidence_with_label") for which no label was found anywhere. The
+ * bad maps are map fields that could not be parsed as JSON.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  hash
+ */
+response.prototype.label_index_stats = function(){
+    if( ! this._label_index ){
+	this._build_label_index();
+    }
+    return this._label_index['stats'];
+};
+
+// The suffixes of the JSON id to label map fields, as tried by
+// <get_doc_label>; note that they all end in "_map".
+var _label_map_suffixes = ['_map', '_closure_map', '_list_map'];
+
+// Walk all of the documents, building the label index and its stats.
+response.prototype._build_label_index = function(){
+
+    var labels = {};
+    var conflicts = {};
+    var labeled_fields = {};
+    var bad_maps = 0;
+
+    var _add = function(id, label){
+	if( bbop.what_is(id) !== 'string' || bbop.what_is(label) !== 'string' ){
+	    return;
+	}
+	if( ! us.has(labels, id) ){
+	    labels[id] = label;
+	}else if( labels[id] !== label ){
+	    if( ! conflicts[id] ){
+		conflicts[id] = [labels[id]];
+	    }
+	    if( ! us.contains(conflicts[id], label) ){
+		conflicts[id].push(label);
+	    }
+	}
+    };
+
+    var docs = this.documents();
+
+    // Maps first, as they are explicit.
+    us.each(docs, function(doc){
+	us.each(doc, function(val, fid){
+	    var bases = [];
+	    us.each(_label_map_suffixes, function(suffix){
+		var base = fid.substring(0, fid.length - suffix.length);
+		if( base !== '' && base + suffix === fid ){
+		    bases.push(base);
+		}
+	    });
+	    if( bases.length > 0 && bbop.what_is(val) === 'string' ){
+		var map = null;
+		try {
+		    map = JSON.parse(val);
+		}catch(e){
+		    bad_maps++;
+		}
+		if( map && bbop.is_hash(map) ){
+		    // The map labels the field it was made for: the
+		    // first one of the bases that is there, so that
+		    // "a_closure_map" is for "a_closure", not "a".
+		    var base = us.find(bases, function(b){
+			return us.has(doc, b);
+		    });
+		    if( base ){
+			labeled_fields[base] = true;
+		    }
+		    us.each(map, function(label, id){
+			_add(id, label);
+		    });
+		}
+	    }
+	});
+    });
+
+    // Then the id/label pairs. As with <get_doc_label>, lists are
+    // only paired when they have a single value: nothing says that
+    // longer lists of ids and labels are in the same order.
+    var _single = function(v){
+	var ret = null;
+	if( bbop.what_is(v) === 'string' ){
+	    ret = v;
+	}else if( bbop.is_array(v) && v.length === 1 ){
+	    ret = v[0];
+	}
+	return ret;
+    };
+    us.each(docs, function(doc){
+	us.each(doc, function(val, fid){
+	    var lval = doc[fid + '_label'];
+	    if( typeof(lval) !== 'undefined' ){
+		labeled_fields[fid] = true;
+		var id = _single(val);
+		var label = _single(lval);
+		if( id !== null && label !== null ){
+		    _add(id, label);
+		}
+	    }
+	});
+    });
+
+    // Finally, see what could have been labeled, but wasn't.
+    var unresolved = {};
+    us.each(docs, function(doc){
+	us.each(us.keys(labeled_fields), function(fid){
+	    var val = doc[fid];
+	    var ids = bbop.is_array(val) ? val : [val];
+	    us.each(ids, function(id){
+		if( bbop.what_is(id) === 'string' && ! us.has(labels, id) ){
+		    unresolved[id] = true;
+		}
+	    });
+	});
+    });
+
+    this._label_index = {
+	'labels': labels,
+	'stats': {
+	    'documents': docs.length,
+	    'labels': us.keys(labels).length,
+	    'unresolved': us.keys(unresolved).sort(),
+	    'conflicts': us.map(us.keys(conflicts).sort(), function(id){
+		return {'id': id, 'labels': conflicts[id]};
+	    }),
+	    'bad_maps': bad_maps
+	}
+    };
+};
+
+/*
+ * Function: get_doc_highlight
+ * 
+ * Returns the highlighted value(s) of the requested fields.
+ * 
+ * WARNING: This function will not return multi-valued fields, just
+ * the first match it finds; see <get_doc_highlights> for all of them.
+ * 
+ * WARNING: This function could be potentially slow on large datasets.
+ * 
+ * Arguments:
+ *  doc_id - document id
+ *  field_id - the identifier of the field we're trying to pull
+ *  item - the item that we're looking for the highlighted HTML for
+ * 
+ * Returns:
+ *  string of highlight or null if nothing was found
+ */
+response.prototype.get_doc_highlight = function(doc_id,field_id,item){
+
+    var ret = null;
+    var anchor = this;
+
+    // See if we can find a highlighted version in the raw response.
+    var hilite_obj = this._doc_highlighting(doc_id);
+
+    // If we got a highlight object, see if the highlighted field is
+    // there--search the different possibilities for what a highlight
+    // field may be called.
+    if( hilite_obj ){
+	
+	//console.log('here (field_id): ' + field_id);
+
+	var ans = null;
+	var hfield = null; // the highlighted field, for its markers
+
+	if( hilite_obj[field_id + '_label_searchable'] ){
+	    hfield = field_id + '_label_searchable';
+	    ans = hilite_obj[hfield];
+	}
+
+	if( ! ans ){
+	    if( hilite_obj[field_id + '_label'] ){
+		hfield = field_id + '_label';
+		ans = hilite_obj[hfield];
+	    }	    
+	}
+
+	if( ! ans ){
+	    if( hilite_obj[field_id + '_searchable'] ){
+		hfield = field_id + '_searchable';
+		ans = hilite_obj[hfield];
+	    }
+	}
+
+	if( ! ans ){
+	    if( hilite_obj[field_id] ){
+		//console.log('here (field_id): ' + field_id);
+		hfield = field_id;
+		ans = hilite_obj[hfield];
+	    }
+	}
+
+	if( ans ){ // looks like I found a list of something
+
+	    // Use only the first match.
+	    var matches_p = false;
+	    us.each(ans, function(an){
+		if( ! matches_p ){
+		    var stripped = anchor._strip_highlight(an, hfield);
+		    //console.log('stripped: ' + stripped);
+		    //console.log('item: ' + item);
+		    if( item === stripped ){
+			matches_p = true;
+			ret = an;
+		    }
+		}
+	    });
+	}
+    }
+
+    return ret;
+};
+
+// The field variants that GOlr highlights for a field, in order of
+// preference, as suffixes on the base field.
+var _highlight_suffixes = ['_label_searchable', '_label', '_searchable', ''];
+
+// Return the raw highlighting hash for a document (by id or place in
+// the array), or null.
+response.prototype._doc_highlighting = function(doc_id){
+
+    var ret = null;
+    var robj = this._raw;
+
+    if( robj.highlighting ){
+	if( robj.highlighting[doc_id] ){
+	    ret = robj.highlighting[doc_id];
+	}else{
+	    var doc = this.get_doc(doc_id);
+	    if( doc && robj.highlighting[doc['id']] ){
+		ret = robj.highlighting[doc['id']];
+	    }
+	}
+    }
+
+    return ret;
+};
+
+/*
+ * Function: get_doc_highlights
+ * 
+ * Returns all of the highlight fragments for a field in a document,
+ * across all of the variants of the field that might be highlighted
+ * ("<field>_label_searchable", "<field>_label", "<field>_searchable",
+ * and "<field>"), each mapped back to the value it came from:
+ * 
+ * : [{field: "bioentity_label_searchable",
+ * :   highlight: "<em>Foo</em>1", text: "Foo1",
+ * :   value: "Foo1", item: "MGI:MGI:1"}, ...]
+ * 
+ * Here "value" is the stored value that the fragment matched (in
+ * "<field>_label" for the label variants, otherwise in "<field>")
+ * and "item" is the corresponding value of the base field, so for
+ * multi-valued label pairs the label is matched to its id by
+ * position. A fragment that is only part of a value (see hl.fragsize)
+ * is matched to the first value that contains it. Either may be null
+ * when there is nothing to match to. The same value highlighted in
+ * more than one variant is only given once.
+ * 
+ * Arguments:
+ *  doc_id - document id or place in the array
+ *  field_id - the base field
+ * 
+ * Returns:
+ *  list of hashes; empty if nothing was highlighted
+ */
+response.prototype.get_doc_highlights = function(doc_id, field_id){
+
+    var ret = [];
+    var anchor = this;
+
+    var hilite_obj = this._doc_highlighting(doc_id);
+    var doc = this.get_doc(doc_id) || {};
+    if( ! hilite_obj ){
+	return ret;
+    }
+
+    var _as_list = function(val){
+	var list = [];
+	if( bbop.is_array(val) ){
+	    list = val;
+	}else if( typeof(val) !== 'undefined' && val !== null ){
+	    list = [val];
+	}
+	return list;
+    };
+
+    var items = _as_list(doc[field_id]);
+    var labels = _as_list(doc[field_id + '_label']);
+    var seen = {};
+
+    us.each(_highlight_suffixes, function(suffix){
+	var hfield = field_id + suffix;
+	var label_p = (suffix.indexOf('_label') === 0);
+	var values = label_p ? labels : items;
+
+	us.each(_as_list(hilite_obj[hfield]), function(frag){
+	    var text = anchor._strip_highlight(frag, hfield);
+
+	    // Find the value the fragment came from, whole or in part.
+	    var vindex = _highlight_value_index(values, text);
+
+	    var value = null;
+	    var item = null;
+	    if( vindex !== -1 ){
+		value = values[vindex];
+		if( ! label_p ){
+		    item = value;
+		}else if( items.length === labels.length ){
+		    item = items[vindex];
+		}else if( items.length === 1 ){
+		    item = items[0];
+		}
+	    }
+
+	    var key = (vindex === -1) ? 'text:' + text : 'index:' + label_p + vindex;
+	    if( ! seen[key] ){
+		seen[key] = true;
+		ret.push({
+		    'field': hfield,
+		    'highlight': frag,
+		    'text': text,
+		    'value': value,
+		    'item': item
+		});
+	    }
+	});
+    });
+
+    return ret;
+};
+
+/*
+ * Function: highlighted_fields
+ * 
+ * Returns the base fields of a document that matched at all, in the
+ * order that they are first highlighted; e.g. a hit in
+ * "bioentity_label_searchable" is reported as "bioentity". See
+ * <get_doc_highlights> for the matches themselves.
+ * 
+ * Arguments:
+ *  doc_id - document id or place in the array
+ * 
+ * Returns:
+ *  list of field names; empty if nothing was highlighted
+ */
+response.prototype.highlighted_fields = function(doc_id){
+
+    var ret = [];
+
+    var hilite_obj = this._doc_highlighting(doc_id);
+    us.each(hilite_obj || {}, function(frags, hfield){
+	if( bbop.is_array(frags) && frags.length === 0 ){
+	    return;
+	}
+	var base = hfield;
+	us.find(_highlight_suffixes, function(suffix){
+	    var b = hfield.substring(0, hfield.length - suffix.length);
+	    if( suffix !== '' && b !== '' && b + suffix === hfield ){
+		base = b;
+		return true;
+	    }
+	    return false;
+	});
+	if( ! us.contains(ret, base) ){
+	    ret.push(base);
+	}
+    });
+
+    return ret;
+};
+
+/*
+ * Function: highlight_markers
+ * 
+ * Returns the strings that the server put around matches in
+ * highlight fragments, as asked for in the parameters: per-field
+ * "f.<field>.hl.simple.pre"/"f.<field>.hl.simple.post" first, then
+ * "hl.simple.pre"/"hl.simple.post", then "hl.tag.pre"/"hl.tag.post",
+ * then the Solr default of "<em>" and "</em>".
+ * 
+ * : {pre: '<em class="hilite">', post: '</em>'}
+ * 
+ * When the parameters were not echoed (e.g. echoParams=none) or the
+ * markers were set in the handler defaults, the markers given are
+ * only a guess.
+ * 
+ * Arguments:
+ *  field_id - *[optional]* the highlighted field
+ * 
+ * Returns:
+ *  hash
+ */
+response.prototype.highlight_markers = function(field_id){
+    var markers = this._asked_highlight_markers(field_id);
+    return {
+	'pre': markers['pre'] !== null ? markers['pre'] : '<em>',
+	'post': markers['post'] !== null ? markers['post'] : '</em>'
+    };
+};
+
+// The highlight markers asked for in the parameters, null where
+// there were none.
+response.prototype._asked_highlight_markers = function(field_id){
+
+    var params = this._params();
+    var _first = function(keys){
+	var ret = null;
+	us.find(keys, function(key){
+	    var val = params[key];
+	    if( bbop.is_array(val) ){
+		val = val[0];
+	    }
+	    if( bbop.what_is(val) === 'string' && val !== '' ){
+		ret = val;
+		return true;
+	    }
+	    return false;
+	});
+	return ret;
+    };
+
+    var _keys = function(end){
+	var keys = ['hl.simple.' + end, 'hl.tag.' + end];
+	if( field_id ){
+	    keys.unshift('f.' + field_id + '.hl.simple.' + end,
+			 'f.' + field_id + '.hl.tag.' + end);
+	}
+	return keys;
+    };
+
+    return {
+	'pre': _first(_keys('pre')),
+	'post': _first(_keys('post'))
+    };
+};
+
+/*
+ * Function: highlight_segments
+ * 
+ * Parses a highlight fragment into a list of plain text segments,
+ * marking the ones that matched, using the markers from
+ * <highlight_markers>. Nothing else in the fragment is treated as
+ * markup, so "a <b> c" is just text.
+ * 
+ * : "protein <em>tag</em>" => [{text: "protein ", matched: false},
+ * :                            {text: "tag", matched: true}]
+ * 
+ * Arguments:
+ *  fragment - the highlight fragment string
+ *  field_id - *[optional]* the highlighted field
+ * 
+ * Returns:
+ *  list of hashes
+ */
+response.prototype.highlight_segments = function(fragment, field_id){
+
+    var ret = [];
+    var markers = this.highlight_markers(field_id);
+    var pre = markers['pre'];
+    var post = markers['post'];
+
+    var _add = function(text, matched){
+	if( text === '' ){
+	    return;
+	}
+	var last = ret[ret.length - 1];
+	if( last && last['matched'] === matched ){
+	    last['text'] += text;
+	}else{
+	    ret.push({'text': text, 'matched': matched});
+	}
+    };
+
+    var rest = '' + fragment;
+    while( rest !== '' ){
+	var start = rest.indexOf(pre);
+	if( start === -1 ){
+	    _add(rest, false);
+	    break;
+	}
+	_add(rest.substring(0, start), false);
+	rest = rest.substring(start + pre.length);
+
+	// An unclosed match runs to the end.
+	var end = rest.indexOf(post);
+	if( end === -1 ){
+	    _add(rest, true);
+	    break;
+	}
+	_add(rest.substring(0, end), true);
+	rest = rest.substring(end + post.length);
+    }
+
+    return ret;
+};
+
+/*
+ * Function: render_highlight
+ * 
+ * Renders a highlight fragment as safe HTML: all of the text is
+ * escaped, and only the matches are wrapped, in the markers from
+ * <highlight_markers> or the given ones.
+ * 
+ * Arguments:
+ *  fragment - the highlight fragment string
+ *  field_id - *[optional]* the highlighted field
+ *  pre - *[optional]* the HTML to open a match with
+ *  post - *[optional]* the HTML to close a match with
+ * 
+ * Returns:
+ *  string
+ */
+response.prototype.render_highlight = function(fragment, field_id, pre, post){
+
+    var markers = this.highlight_markers(field_id);
+    if( typeof(pre) === 'undefined' || pre === null ){
+	pre = markers['pre'];
+    }
+    if( typeof(post) === 'undefined' || post === null ){
+	post = markers['post'];
+    }
+
+    var segs = this.highlight_segments(fragment, field_id);
+    return us.map(segs, function(seg){
+	var text = _escape_html(seg['text']);
+	return seg['matched'] ? pre + text + post : text;
+    }).join('');
+};
+
+// The plain text of a highlight fragment. Without known markers,
+// fall back to stripping anything that looks like a tag, as the
+// server may have used anything.
+response.prototype._strip_highlight = function(fragment, field_id){
+    var markers = this._asked_highlight_markers(field_id);
+    if( markers['pre'] === null || markers['post'] === null ){
+	return ('' + fragment).replace(this._hl_regexp, '');
+    }
+    return us.pluck(this.highlight_segments(fragment, field_id), 'text').join('');
+};
+
+// Escape a string for use in HTML text or attributes.
+function _escape_html(str){
+    return ('' + str)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;')
+	.replace(/'/g, '&#39;');
+}
+
+// /*
+//  * Function: facet_fields
+//  * 
+//  * Return a count sorted array of the response's facet fields and counts.
+//  * 
+//  * Arguments:
+//  *  n/a
+//  * 
+//  * Returns:
+//  *  list of string/integer doublets
+//  */
+// response.prototype.facet_fields = function(){
+//     var robj = this._raw;
+//     return robj.facet_counts.facet_fields;
+// };
+
+/*
+ * Function: facet_field_list
+ * 
+ * Return a count sorted array of the response's facet fields.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  list of strings
+ */
+response.prototype.facet_field_list = function(){
+    var robj = this._raw;
+    var ret = [];
+    if( robj.facet_counts && robj.facet_counts.facet_fields ){
+	ret = us.keys(robj.facet_counts.facet_fields).sort();
+    }
+    return ret;
+};
+
+/*
+ * Function: facet_field
+ * 
+ * Return a count-sorted array of a facet field's response.
+ * 
+ * : [["foo", 60], ...]
+ * 
+ * This is the same whatever the "json.nl" encoding (see
+ * <named_list_encoding>).
+ * 
+ * Arguments:
+ *  facet_name - name of the facet to examine
+ * 
+ * Returns:
+ *  list of nested lists or null if the field is not in the response
+ */
+response.prototype.facet_field = function(facet_name){
+    var robj = this._raw;
+    var ret = null;
+    if( robj.facet_counts && robj.facet_counts.facet_fields &&
+	us.has(robj.facet_counts.facet_fields, facet_name) ){
+	    ret = _named_list_pairs(robj.facet_counts.facet_fields[facet_name],
+				    this.named_list_encoding());
+	}
+    return ret;
+};
+
+/*
+ * Function: facet_counts
+ * 
+ * For a given facet field, return a hash of that field's items and
+ * their counts.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  hash of facets to their integer counts
+ */
+response.prototype.facet_counts = function(){
+
+    var robj = this._raw;
+    var ret_hash = {};
+
+    var anchor = this;
+    
+    var facet_field_list = this.facet_field_list();
+    us.each(facet_field_list, function(ffield){
+	
+	// Make sure the top field is present,
+	if( ! ret_hash[ffield] ){
+	    ret_hash[ffield] = {};		
+	}
+	
+	var facet_field_items = anchor.facet_field(ffield);
+	us.each(facet_field_items, function(item, index){
+	    var name = item[0];
+	    var count = item[1];
+	    ret_hash[ffield][name] = count;
+	});
+    });
+    
+    return ret_hash;
+};
+
+/*
+ * Function: facet_comparison
+ * 
+ * Compare the facet counts (see <facet_counts>) of this response
+ * with those of another, e.g. the same query with a filter added, or
+ * against a different release. This response is taken as "before"
+ * and the other as "after". Per facet field in either:
+ * 
+ * : {source: {
+ * :   appeared: ["ZFIN"],
+ * :   disappeared: ["MGI"],
+ * :   changes: [{item: "MGI", before: 5, after: 0, delta: -5,
+ * :              before_fraction: 0.5, after_fraction: 0,
+ * :              fraction_delta: -0.5}, ...]}, ...}
+ * 
+ * The fractions are relative to <total_documents> of each response
+ * (zero when there are no documents). The changes cover every item in
+ * either response and are sorted by the largest change first (ties
+ * by item), by absolute count delta or, optionally, by fraction
+ * delta.
+ * 
+ * Arguments:
+ *  other - the golr response to compare against
+ *  sort_by - *[optional]* "delta" (default) or "fraction_delta"
+ * 
+ * Returns:
+ *  hash of facet fields to comparisons
+ */
+response.prototype.facet_comparison = function(other, sort_by){
+
+    if( sort_by !== 'fraction_delta' ){
+	sort_by = 'delta';
+    }
+
+    var ret = {};
+
+    var before_counts = this.facet_counts();
+    var after_counts = other.facet_counts();
+    var before_total = this.total_documents() || 0;
+    var after_total = other.total_documents() || 0;
+    var _fraction = function(count, total){
+	return total > 0 ? count / total : 0;
+    };
+
+    var fields = us.union(us.keys(before_counts), us.keys(after_counts));
+    us.each(fields.sort(), function(field){
+
+	var bcounts = before_counts[field] || {};
+	var acounts = after_counts[field] || {};
+	var comp = {'appeared': [], 'disappeared': [], 'changes': []};
+
+	var items = us.union(us.keys(bcounts), us.keys(acounts));
+	us.each(items.sort(), function(item){
+	    var before = bcounts[item] || 0;
+	    var after = acounts[item] || 0;
+	    if( before === 0 && after > 0 ){
+		comp['appeared'].push(item);
+	    }else if( before > 0 && after === 0 ){
+		comp['disappeared'].push(item);
+	    }
+	    var bfrac = _fraction(before, before_total);
+	    var afrac = _fraction(after, after_total);
+	    comp['changes'].push({
+		'item': item,
+		'before': before,
+		'after': after,
+		'delta': after - before,
+		'before_fraction': bfrac,
+		'after_fraction': afrac,
+		'fraction_delta': afrac - bfrac
+	    });
+	});
+
+	// Biggest change first; sortBy is stable, so ties stay in
+	// item order.
+	comp['changes'] = us.sortBy(comp['changes'], function(change){
+	    return -Math.abs(change[sort_by]);
+	});
+
+	ret[field] = comp;
+    });
+
+    return ret;
+};
+
+/*
+ * Function: facet_tree
+ * 
+ * Arrange the counts of a closure facet (e.g. "isa_partof_closure"
+ * or "isa_partof_closure_label") into a tree, using the parents of
+ * the terms. The parents come from either:
+ * 
+ * - another response with ontology_class documents, using the edges
+ *   in their "topology_graph_json" (and the labels of the nodes and
+ *   "annotation_class_label"), or
+ * - an adjacency map of term ids to lists of parent ids.
+ * 
+ * Each term in the facet hangs under its nearest ancestors that are
+ * also in the facet, so a term with more than one parent shows up
+ * more than once; terms with no such ancestors are the roots. An
+ * ancestor that is also above one of the others is not nearest, so
+ * the diamonds of the ontology do not add shortcut edges.
+ * Siblings are sorted by count (highest first), then label.
+ * 
+ * : [{id: "GO:0008150", label: "biological_process", count: 8,
+ * :   children: [{id: "GO:0009987", label: "cellular process",
+ * :               count: 6, children: [...]}, ...]}]
+ * 
+ * When the facet is on labels, the items are matched to ids through
+ * the known labels; unmatched items are their own ids.
+ * 
+ * Options:
+ *  predicates - edge predicates to follow in ontology documents; defaults to "is_a", "part_of", and "BFO:0000050" (part_of by id)
+ *  labels - hash of extra ids to labels
+ * 
+ * Arguments:
+ *  field - the closure facet field
+ *  parents - a response with ontology_class documents, or an adjacency map
+ *  opts - *[optional]* hash of options
+ * 
+ * Returns:
+ *  list of root nodes
+ */
+response.prototype.facet_tree = function(field, parents, opts){
+
+    opts = opts || {};
+    var preds = opts['predicates'] || ['is_a', 'part_of', 'BFO:0000050'];
+
+    // Gather the parents and labels.
+    var adjacency = {};
+    var labels = {};
+    if( parents && typeof(parents.documents) === 'function' ){
+	us.each(parents.documents(), function(doc){
+	    var did = doc['annotation_class'] || doc['id'];
+	    if( doc['annotation_class_label'] ){
+		labels[did] = doc['annotation_class_label'];
+	    }
+	    var graph = null;
+	    try {
+		graph = JSON.parse(doc['topology_graph_json'] || 'null');
+	    }catch(e){
+		// No edges to be had.
+	    }
+	    if( graph ){
+		us.each(graph['nodes'] || [], function(node){
+		    if( node['id'] && node['lbl'] && ! labels[node['id']] ){
+			labels[node['id']] = node['lbl'];
+		    }
+		});
+		us.each(graph['edges'] || [], function(edge){
+		    if( us.contains(preds, edge['pred']) ){
+			var sub = edge['sub'];
+			adjacency[sub] = adjacency[sub] || [];
+			if( ! us.contains(adjacency[sub], edge['obj']) ){
+			    adjacency[sub].push(edge['obj']);
+			}
+		    }
+		});
+	    }
+	});
+    }else if( parents && bbop.is_hash(parents) ){
+	us.each(parents, function(pids, cid){
+	    adjacency[cid] = bbop.is_array(pids) ? pids : [pids];
+	});
+    }
+    us.extend(labels, opts['labels'] || {});
+
+    var label2id = {};
+    us.each(labels, function(lbl, id){
+	if( ! us.has(label2id, lbl) ){
+	    label2id[lbl] = id;
+	}
+    });
+
+    // The facet counts, by id.
+    var counts = {};
+    var order = [];
+    var ffield = null;
+    if( us.contains(this.facet_field_list(), field) ){
+	ffield = this.facet_field(field);
+    }
+    us.each(_named_list_pairs(ffield), function(pair){
+	var id = pair[0];
+	if( ! us.has(adjacency, id) && ! us.has(labels, id) &&
+	    us.has(label2id, id) ){
+		id = label2id[id];
+	    }
+	if( ! us.has(counts, id) ){
+	    order.push(id);
+	}
+	counts[id] = pair[1];
+    });
+
+    // All of the ancestors of a term, as a set.
+    var ancestor_cache = {};
+    var _ancestors = function(id){
+	if( ! ancestor_cache[id] ){
+	    var ret = {};
+	    var queue = (adjacency[id] || []).slice(0);
+	    while( queue.length > 0 ){
+		var aid = queue.shift();
+		if( ! ret[aid] ){
+		    ret[aid] = true;
+		    queue = queue.concat(adjacency[aid] || []);
+		}
+	    }
+	    ancestor_cache[id] = ret;
+	}
+	return ancestor_cache[id];
+    };
+
+    // The nearest ancestors of a term that are in the facet.
+    var _faceted_parents = function(id){
+	var ret = [];
+	var seen = {};
+	seen[id] = true;
+	var queue = (adjacency[id] || []).slice(0);
+	while( queue.length > 0 ){
+	    var pid = queue.shift();
+	    if( seen[pid] ){
+		continue;
+	    }
+	    seen[pid] = true;
+	    if( us.has(counts, pid) ){
+		ret.push(pid);
+	    }else{
+		queue = queue.concat(adjacency[pid] || []);
+	    }
+	}
+	// Drop any that are above the others by another path.
+	return us.reject(ret, function(pid){
+	    return us.some(ret, function(other){
+		return other !== pid && _ancestors(other)[pid];
+	    });
+	});
+    };
+
+    var children = {};
+    var roots = [];
+    us.each(order, function(id){
+	var pids = _faceted_parents(id);
+	if( pids.length === 0 ){
+	    roots.push(id);
+	}
+	us.each(pids, function(pid){
+	    children[pid] = children[pid] || [];
+	    children[pid].push(id);
+	});
+    });
+
+    var _label = function(id){
+	return us.has(labels, id) ? labels[id] : id;
+    };
+    var _node = function(id, path){
+	var kids = us.reject(children[id] || [], function(kid){
+	    return us.contains(path, kid);
+	});
+	return {
+	    'id': id,
+	    'label': _label(id),
+	    'count': counts[id],
+	    'children': _sorted_nodes(us.map(kids, function(kid){
+		return _node(kid, path.concat([kid]));
+	    }))
+	};
+    };
+
+    return _sorted_nodes(us.map(roots, function(id){
+	return _node(id, [id]);
+    }));
+};
+
+// Sort tree nodes by count (highest first), then label.
+function _sorted_nodes(nodes){
+    return nodes.sort(function(a, b){
+	if( a['count'] !== b['count'] ){
+	    return b['count'] - a['count'];
+	}
+	return a['label'] < b['label'] ? -1 : (a['label'] > b['label'] ? 1 : 0);
+    });
+}
+
+/*
+ * Function: facet_view
+ * 
+ * Return a view of a facet field's counts, ready for display:
+ * 
+ * : [{value: "UniProtKB", count: 14, percent: 70},
+ * :  {value: "MGI", count: 5, percent: 25},
+ * :  {value: "other", count: 1, percent: 5, other: true, values: 1}]
+ * 
+ * Percentages are of <total_documents> (zero if there are none).
+ * Values that are currently positive filters on the field (see
+ * <query_filters>) can be left out entirely. Of the rest, those
+ * under the thresholds, or past the top "limit" by count, are
+ * gathered into a final "other" bucket, if asked for; the shown
+ * values are then sorted.
+ * 
+ * Options:
+ *  limit - the number of values to show; defaults to all
+ *  min_count - the least count to show
+ *  min_percent - the least percentage to show
+ *  sort - "count" (default; highest first), "alpha", or "natural" (numbers in values sort as numbers)
+ *  other - whether to add the "other" bucket when something was left out; defaults to true
+ *  other_label - value of the "other" bucket; defaults to "other"
+ *  exclude_selected - whether to leave out the currently selected values; defaults to false
+ * 
+ * Arguments:
+ *  field - the facet field
+ *  opts - *[optional]* hash of options
+ * 
+ * Returns:
+ *  list of hashes
+ */
+response.prototype.facet_view = function(field, opts){
+
+    opts = opts || {};
+    var sort = opts['sort'] || 'count';
+    if( ! us.contains(['count', 'alpha', 'natural'], sort) ){
+	throw new Error('unknown facet sort: ' + sort);
+    }
+
+    var total = this.total_documents() || 0;
+    var _percent = function(count){
+	return total > 0 ? (100 * count / total) : 0;
+    };
+
+    var selected = {};
+    if( opts['exclude_selected'] ){
+	us.each(this.query_filters()[field] || {}, function(polarity, value){
+	    if( polarity ){
+		selected[value] = true;
+	    }
+	});
+    }
+
+    var ffield = null;
+    if( us.contains(this.facet_field_list(), field) ){
+	ffield = this.facet_field(field);
+    }
+    var items = [];
+    us.each(_named_list_pairs(ffield), function(pair){
+	if( ! selected[pair[0]] ){
+	    items.push({
+		'value': pair[0],
+		'count': pair[1],
+		'percent': _percent(pair[1])
+	    });
+	}
+    });
+
+    // Rank by count to find the ones to show.
+    items = _sorted_facet_items(items, 'count');
+    var shown = [];
+    var others = [];
+    us.each(items, function(item){
+	if( (typeof(opts['limit']) === 'number' && shown.length >= opts['limit']) ||
+	    (typeof(opts['min_count']) === 'number' && item['count'] < opts['min_count']) ||
+	    (typeof(opts['min_percent']) === 'number' && item['percent'] < opts['min_percent']) ){
+		others.push(item);
+	    }else{
+		shown.push(item);
+	    }
+    });
+
+    var ret = _sorted_facet_items(shown, sort);
+    if( opts['other'] !== false && others.length > 0 ){
+	var ocount = 0;
+	us.each(others, function(item){
+	    ocount += item['count'];
+	});
+	ret.push({
+	    'value': opts['other_label'] || 'other',
+	    'count': ocount,
+	    'percent': _percent(ocount),
+	    'other': true,
+	    'values': others.length
+	});
+    }
+
+    return ret;
+};
+
+// Sort facet view items by count (highest first, then alphabetically),
+// alphabetically, or naturally.
+function _sorted_facet_items(items, sort){
+    var _alpha = function(a, b){
+	return a < b ? -1 : (a > b ? 1 : 0);
+    };
+    var _natural = function(a, b){
+	var achunks = ('' + a).match(/\d+|\D+/g) || [];
+	var bchunks = ('' + b).match(/\d+|\D+/g) || [];
+	for( var i = 0; i < achunks.length && i < bchunks.length; i++ ){
+	    var ac = achunks[i];
+	    var bc = bchunks[i];
+	    var cmp = 0;
+	    if( /^\d/.test(ac) && /^\d/.test(bc) ){
+		cmp = parseInt(ac, 10) - parseInt(bc, 10);
+	    }else{
+		cmp = _alpha(ac, bc);
+	    }
+	    if( cmp !== 0 ){
+		return cmp;
+	    }
+	}
+	return achunks.length - bchunks.length;
+    };
+    return items.slice(0).sort(function(a, b){
+	if( sort === 'alpha' ){
+	    return _alpha(a['value'], b['value']);
+	}else if( sort === 'natural' ){
+	    return _natural(a['value'], b['value']);
+	}
+	if( a['count'] !== b['count'] ){
+	    return b['count'] - a['count'];
+	}
+	return _alpha(a['value'], b['value']);
+    });
+}
+
+/*
+ * Function: facet_pivot_list
+ * 
+ * Return a sorted list of the pivot specs (e.g. "taxon_label,evidence_type")
+ * that have results in the response. These are the same strings that
+ * were passed in as "facet.pivot" and are echoed back in the
+ * parameters.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  list of strings
+ */
+response.prototype.facet_pivot_list = function(){
+    var robj = this._raw;
+    var ret = [];
+    if( robj.facet_counts && robj.facet_counts.facet_pivot ){
+	ret = us.keys(robj.facet_counts.facet_pivot).sort();
+    }
+    return ret;
+};
+
+/*
+ * Function: facet_pivot
+ * 
+ * Return the nested pivot tree for a pivot spec. Solr's "pivot" key
+ * is normalized to "children", which is always a list (empty at the
+ * leaves):
+ * 
+ * : [{field: "taxon_label", value: "Mus musculus", count: 8,
+ * :   children: [{field: "evidence_type", value: "IMP", count: 5,
+ * :               children: []}, ...]}, ...]
+ * 
+ * The spec may be given as the echoed string ("a,b") or as a list of
+ * field names (["a", "b"]).
+ * 
+ * Arguments:
+ *  pivot_spec - the pivot spec string or list of fields
+ * 
+ * Returns:
+ *  list of pivot nodes or null if the pivot is not in the response
+ */
+response.prototype.facet_pivot = function(pivot_spec){
+
+    var robj = this._raw;
+    var ret = null;
+
+    var enc = this.named_list_encoding();
+    var spec = _pivot_spec_key(pivot_spec);
+    if( spec !== null && robj.facet_counts && robj.facet_counts.facet_pivot ){
+
+	// Try the spec as given, then with the whitespace cleaned out
+	// of the field list.
+	var raw_nodes = robj.facet_counts.facet_pivot[pivot_spec];
+	if( typeof(raw_nodes) === 'undefined' ){
+	    raw_nodes = robj.facet_counts.facet_pivot[spec];
+	}
+
+	if( raw_nodes ){
+	    var _normalize = function(nodes){
+		return us.map(nodes || [], function(node){
+		    if( ! bbop.is_hash(node) ){
+			node = _named_list_hash(node, enc);
+		    }
+		    return {
+			'field': node['field'],
+			'value': node['value'],
+			'count': node['count'],
+			'children': _normalize(node['pivot'])
+		    };
+		});
+	    };
+	    ret = _normalize(raw_nodes);
+	}
+    }
+
+    return ret;
+};
+
+/*
+ * Function: facet_pivot_table
+ * 
+ * Return a flattened table form of a pivot: one row per leaf of the
+ * pivot tree, with the value at each level followed by the leaf
+ * count, in the same spirit as <facet_field>:
+ * 
+ * : [["Mus musculus", "IMP", 5], ["Mus musculus", "IGI", 1], ...]
+ * 
+ * Leaves that stop short of the full pivot depth (e.g. due to
+ * facet.pivot.mincount) are padded out with nulls so that all rows
+ * are the same length.
+ * 
+ * Arguments:
+ *  pivot_spec - the pivot spec string or list of fields
+ * 
+ * Returns:
+ *  list of lists or null if the pivot is not in the response
+ */
+response.prototype.facet_pivot_table = function(pivot_spec){
+
+    var ret = null;
+
+    var tree = this.facet_pivot(pivot_spec);
+    if( tree ){
+	ret = [];
+
+	var depth = _pivot_spec_key(pivot_spec).split(',').length;
+	var _walk = function(nodes, path){
+	    us.each(nodes, function(node){
+		var npath = path.concat([node['value']]);
+		if( node['children'].length === 0 ){
+		    while( npath.length < depth ){
+			npath.push(null);
+		    }
+		    npath.push(node['count']);
+		    ret.push(npath);
+		}else{
+		    _walk(node['children'], npath);
+		}
+	    });
+	};
+	_walk(tree, []);
+    }
+
+    return ret;
+};
+
+// Turn a pivot spec (string or list of fields) into the canonical
+// comma-separated key, or null if there is nothing usable.
+function _pivot_spec_key(pivot_spec){
+    var ret = null;
+    if( bbop.what_is(pivot_spec) === 'array' ){
+	ret = pivot_spec.join(',');
+    }else if( bbop.what_is(pivot_spec) === 'string' ){
+	ret = us.map(pivot_spec.split(','), function(f){
+	    return f.trim();
+	}).join(',');
+    }
+    return ret;
+}
+
+/*
+ * Function: facet_query_counts
+ * 
+ * Return the results of any "facet.query" parameters as a hash of
+ * the query string to its integer count.
+ * 
+ * : {"date:[2010-01-01T00:00:00Z TO *]": 12, ...}
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  hash of facet queries to their integer counts
+ */
+response.prototype.facet_query_counts = function(){
+    var robj = this._raw;
+    var ret_hash = {};
+    if( robj.facet_counts && robj.facet_counts.facet_queries ){
+	us.each(_named_list_pairs(robj.facet_counts.facet_queries,
+				  this.named_list_encoding()),
+		function(pair){
+		    ret_hash[pair[0]] = parseInt(pair[1]);
+		});
+    }
+    return ret_hash;
+};
+
+/*
+ * Function: facet_query_count
+ * 
+ * Return the count for a single "facet.query".
+ * 
+ * Arguments:
+ *  query - the facet query string, as it was sent
+ * 
+ * Returns:
+ *  integer or null if the query is not in the response
+ */
+response.prototype.facet_query_count = function(query){
+    var ret = null;
+    var counts = this.facet_query_counts();
+    if( typeof(counts[query]) !== 'undefined' ){
+	ret = counts[query];
+    }
+    return ret;
+};
+
+/*
+ * Function: facet_range_list
+ * 
+ * Return a sorted list of the fields that have range facet
+ * ("facet.range") results in the response.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  list of strings
+ */
+response.prototype.facet_range_list = function(){
+    var robj = this._raw;
+    var ret = [];
+    if( robj.facet_counts && robj.facet_counts.facet_ranges ){
+	ret = us.keys(robj.facet_counts.facet_ranges).sort();
+    }
+    return ret;
+};
+
+/*
+ * Function: facet_range
+ * 
+ * Return the typed buckets for a range facet. Numeric ranges have
+ * number bounds, date ranges have Date bounds. Each bucket runs from
+ * its start (inclusive) to its end, which is the start plus the gap
+ * (capped at the range end when "facet.range.hardend" is on).
+ * 
+ * : {field: "date", gap: "+1YEAR",
+ * :  start: <Date>, end: <Date>,
+ * :  before: 2, after: 0, between: 10,
+ * :  buckets: [{start: <Date>, end: <Date>, count: 4}, ...]}
+ * 
+ * The before, after, and between counts are null unless
+ * "facet.range.other" was used.
+ * 
+ * Arguments:
+ *  field - the name of the range-faceted field
+ * 
+ * Returns:
+ *  hash as above or null if the field is not in the response
+ */
+response.prototype.facet_range = function(field){
+    var robj = this._raw;
+    var ret = null;
+    if( robj.facet_counts && robj.facet_counts.facet_ranges &&
+	robj.facet_counts.facet_ranges[field] ){
+	    var frange = robj.facet_counts.facet_ranges[field];
+	    ret = this._facet_buckets(field, 'range', frange,
+				      _named_list_pairs(frange['counts'],
+							this.named_list_encoding()));
+	}
+    return ret;
+};
+
+/*
+ * Function: facet_date_list
+ * 
+ * Return a sorted list of the fields that have (the older,
+ * deprecated) date facet ("facet.date") results in the response.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  list of strings
+ */
+response.prototype.facet_date_list = function(){
+    var robj = this._raw;
+    var ret = [];
+    if( robj.facet_counts && robj.facet_counts.facet_dates ){
+	ret = us.keys(robj.facet_counts.facet_dates).sort();
+    }
+    return ret;
+};
+
+/*
+ * Function: facet_date
+ * 
+ * Return the Date-bounded buckets for a date facet, in the same form
+ * as <facet_range>.
+ * 
+ * Unlike range facets, Solr mixes the counts for date facets in with
+ * the gap, start, end, etc. information; these are sorted out here.
+ * 
+ * Arguments:
+ *  field - the name of the date-faceted field
+ * 
+ * Returns:
+ *  hash (see <facet_range>) or null if the field is not in the response
+ */
+response.prototype.facet_date = function(field){
+    var robj = this._raw;
+    var ret = null;
+    if( robj.facet_counts && robj.facet_counts.facet_dates &&
+	robj.facet_counts.facet_dates[field] ){
+	    var fdate = robj.facet_counts.facet_dates[field];
+	    var pairs = [];
+	    us.each(_named_list_pairs(fdate, this.named_list_encoding()), function(pair){
+		if( ! us.contains(_facet_range_meta_keys, pair[0]) ){
+		    pairs.push(pair);
+		}
+	    });
+	    ret = this._facet_buckets(field, 'date', fdate, pairs);
+	}
+    return ret;
+};
+
+// The non-count keys that can appear in range and date facet blocks.
+var _facet_range_meta_keys =
+	['counts', 'gap', 'start', 'end', 'before', 'after', 'between'];
+
+// Common bucketing for range and date facets. The facet_type is
+// either "range" or "date", for looking up the hardend parameter.
+response.prototype._facet_buckets = function(field, facet_type, fblock,
+					     pairs){
+
+    var params = (this._raw.responseHeader &&
+		  this._raw.responseHeader.params) || {};
+
+    // Dates if it says so or if the bounds look like dates.
+    var date_p = (facet_type === 'date' ||
+		  _solr_date_p(fblock['start']) ||
+		  (pairs.length > 0 && _solr_date_p(pairs[0][0])));
+    var _typed = function(val){
+	var ret = null;
+	if( typeof(val) !== 'undefined' && val !== null ){
+	    if( date_p ){
+		ret = new Date(val);
+	    }else{
+		ret = parseFloat(val);
+	    }
+	}
+	return ret;
+    };
+    var _count = function(val){
+	var ret = null;
+	if( typeof(val) !== 'undefined' && val !== null ){
+	    ret = parseInt(val);
+	}
+	return ret;
+    };
+
+    // Per-field parameters override the general ones.
+    var hardend = params['f.' + field + '.facet.' + facet_type + '.hardend'];
+    if( typeof(hardend) === 'undefined' ){
+	hardend = params['facet.' + facet_type + '.hardend'];
+    }
+    hardend = (hardend === true || hardend === 'true');
+
+    var gap = fblock['gap'];
+    var range_end = _typed(fblock['end']);
+
+    var ret = {
+	'field': field,
+	'gap': typeof(gap) === 'undefined' ? null : gap,
+	'start': _typed(fblock['start']),
+	'end': range_end,
+	'before': _count(fblock['before']),
+	'after': _count(fblock['after']),
+	'between': _count(fblock['between']),
+	'buckets': []
+    };
+
+    us.each(pairs, function(pair, index){
+
+	var bstart = _typed(pair[0]);
+
+	// Try for the gap first, then fall back to the next bucket
+	// or the end of the range.
+	var bend = _add_facet_gap(bstart, gap, date_p);
+	if( bend === null ){
+	    if( index + 1 < pairs.length ){
+		bend = _typed(pairs[index + 1][0]);
+	    }else{
+		bend = range_end;
+	    }
+	}
+	if( hardend && bend !== null && range_end !== null &&
+	    bend > range_end ){
+		bend = range_end;
+	    }
+
+	ret['buckets'].push({
+	    'start': bstart,
+	    'end': bend,
+	    'count': _count(pair[1])
+	});
+    });
+
+    return ret;
+};
+
+// Whether or not the value looks like a Solr date (ISO 8601 UTC).
+function _solr_date_p(val){
+    var ret = false;
+    if( bbop.what_is(val) === 'string' &&
+	/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(val) ){
+	    ret = true;
+	}
+    return ret;
+}
+
+// Add a facet gap to a bucket start. Numbers are simple; dates
+// understand the additive parts of Solr date math ("+1YEAR",
+// "+1MONTH+15DAYS", etc.). Returns null if the gap can't be applied.
+function _add_facet_gap(start, gap, date_p){
+
+    var ret = null;
+
+    if( start === null || typeof(gap) === 'undefined' || gap === null ){
+	// Nothing to do.
+    }else if( ! date_p ){
+	var ngap = parseFloat(gap);
+	if( ! isNaN(ngap) ){
+	    ret = start + ngap;
+	}
+    }else if( bbop.what_is(gap) === 'string' ){
+
+	var date = new Date(start.getTime());
+	var step_re = /([+-])(\d+)(YEAR|MONTH|DAY|DATE|HOUR|MINUTE|SECOND|MILLISECOND|MILLI)S?/g;
+	var applied_p = false;
+	var match = null;
+	while( (match = step_re.exec(gap)) !== null ){
+	    applied_p = true;
+	    var n = parseInt(match[2]) * (match[1] === '-' ? -1 : 1);
+	    var unit = match[3];
+	    if( unit === 'YEAR' ){
+		_add_utc_months(date, n * 12);
+	    }else if( unit === 'MONTH' ){
+		_add_utc_months(date, n);
+	    }else if( unit === 'DAY' || unit === 'DATE' ){
+		date.setUTCDate(date.getUTCDate() + n);
+	    }else if( unit === 'HOUR' ){
+		date.setUTCHours(date.getUTCHours() + n);
+	    }else if( unit === 'MINUTE' ){
+		date.setUTCMinutes(date.getUTCMinutes() + n);
+	    }else if( unit === 'SECOND' ){
+		date.setUTCSeconds(date.getUTCSeconds() + n);
+	    }else{
+		date.setUTCMilliseconds(date.getUTCMilliseconds() + n);
+	    }
+	}
+	if( applied_p ){
+	    ret = date;
+	}
+    }
+
+    return ret;
+}
+
+// Move a date by months in place, keeping the day within the target
+// month as Solr's date math does (Jan 31 +1MONTH is Feb 28 or 29, not
+// early March).
+function _add_utc_months(date, n){
+    var day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + n);
+    var last = new Date(Date.UTC(date.getUTCFullYear(),
+				 date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, last));
+}
+
+// The json.nl named list encodings.
+var _named_list_encodings = ['flat', 'map', 'arrarr', 'arrmap', 'arrntv'];
+
+// Whether a named list could be in the given json.nl encoding.
+function _named_list_fits(nl, encoding){
+    var _key_p = function(k){
+	return k === null || ! (bbop.is_array(k) || bbop.is_hash(k));
+    };
+    var _single_hash_p = function(e){
+	return e && bbop.is_hash(e) && us.keys(e).length === 1;
+    };
+    var ret = false;
+    if( encoding === 'map' ){
+	ret = !! (nl && bbop.is_hash(nl));
+    }else if( bbop.is_array(nl) ){
+	if( encoding === 'flat' ){
+	    ret = (nl.length % 2 === 0) &&
+		us.every(nl, function(e, i){ return i % 2 === 1 || _key_p(e); });
+	}else if( encoding === 'arrarr' ){
+	    ret = us.every(nl, function(e){
+		return bbop.is_array(e) && e.length === 2;
+	    });
+	}else if( encoding === 'arrmap' ){
+	    ret = us.every(nl, _single_hash_p);
+	}else if( encoding === 'arrntv' ){
+	    ret = us.every(nl, function(e){
+		return e && bbop.is_hash(e) && us.has(e, 'name');
+	    });
+	}
+    }
+    return ret;
+}
+
+// Guess the json.nl encoding of a named list from its shape; null
+// for an empty (or unrecognizable) list.
+function _named_list_shape(nl){
+    var ret = null;
+    if( bbop.is_array(nl) ){
+	if( nl.length > 0 ){
+	    var first = nl[0];
+	    if( bbop.is_array(first) ){
+		ret = 'arrarr';
+	    }else if( first && bbop.is_hash(first) ){
+		if( us.has(first, 'name') && us.has(first, 'type') ){
+		    ret = 'arrntv';
+		}else{
+		    ret = 'arrmap';
+		}
+	    }else{
+		ret = 'flat';
+	    }
+	}
+    }else if( nl && bbop.is_hash(nl) ){
+	ret = 'map';
+    }
+    return ret;
+}
+
+// Solr named lists come back in whatever encoding json.nl asked for:
+// [[k, v], ...] (arrarr), [k, v, k, v, ...] (flat, the default),
+// {k: v, ...} (map), [{k: v}, ...] (arrmap), or [{name: k, type: t,
+// value: v}, ...] (arrntv); get them all as [[k, v], ...]. The given
+// encoding is used if the list fits it; otherwise (e.g. sections that
+// are always maps) it is guessed from the shape.
+function _named_list_pairs(nl, encoding){
+    var ret = [];
+
+    var enc = null;
+    if( us.contains(_named_list_encodings, encoding) &&
+	_named_list_fits(nl, encoding) ){
+	    enc = encoding;
+	}else{
+	    enc = _named_list_shape(nl);
+	}
+
+    if( enc === 'arrarr' ){
+	ret = nl;
+    }else if( enc === 'flat' ){
+	for( var i = 0; i + 1 < nl.length; i += 2 ){
+	    ret.push([nl[i], nl[i + 1]]);
+	}
+    }else if( enc === 'map' ){
+	us.each(nl, function(val, key){
+	    ret.push([key, val]);
+	});
+    }else if( enc === 'arrmap' ){
+	us.each(nl, function(entry){
+	    us.each(entry, function(val, key){
+		ret.push([key, val]);
+	    });
+	});
+    }else if( enc === 'arrntv' ){
+	us.each(nl, function(entry){
+	    var val = us.has(entry, 'value') ? entry['value'] : null;
+	    ret.push([entry['name'], val]);
+	});
+    }
+    return ret;
+}
+
+// A named list as a hash (later keys win).
+function _named_list_hash(nl, encoding){
+    var ret = {};
+    us.each(_named_list_pairs(nl, encoding), function(pair){
+	ret[pair[0]] = pair[1];
+    });
+    return ret;
+}
+
+/*
+ * Function: named_list_encoding
+ * 
+ * Return the encoding of named lists (e.g. facet counts) asked for
+ * with "json.nl" in the parameters: "flat", "map", "arrarr",
+ * "arrmap", or "arrntv". If it was not asked for, or is not one of
+ * these, null; the encoding is then worked out from the shape of
+ * each list.
+ * 
+ * Whatever the encoding, the accessors in this response give named
+ * lists back in one form: [[k, v], ...] for facet counts and the
+ * like, hashes where the order does not matter.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  string or null
+ */
+response.prototype.named_list_encoding = function(){
+    var ret = null;
+    var enc = this.parameter('json.nl');
+    if( bbop.is_array(enc) ){
+	enc = enc[enc.length - 1];
+    }
+    if( us.contains(_named_list_encodings, enc) ){
+	ret = enc;
+    }
+    return ret;
+};
+
+/*
+ * Function: stats_field_list
+ * 
+ * Return a sorted list of the fields that have statistics
+ * ("stats.field") in the response.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  list of strings
+ */
+response.prototype.stats_field_list = function(){
+    var robj = this._raw;
+    var ret = [];
+    if( robj.stats && robj.stats.stats_fields ){
+	ret = us.keys(robj.stats.stats_fields).sort();
+    }
+    return ret;
+};
+
+/*
+ * Function: stats_field
+ * 
+ * Return the typed statistics for a field:
+ * 
+ * : {field: "score", min: 0.2, max: 1.0, sum: 5.5, count: 10,
+ * :  missing: 2, mean: 0.55, stddev: 0.21, sum_of_squares: 3.4,
+ * :  count_distinct: null, percentiles: {25: 0.3, 50: 0.5, ...},
+ * :  facets: {source: {MGI: {...}, ...}}}
+ * 
+ * Counts are integers. The min, max, and mean are Dates for date
+ * fields and numbers otherwise (strings for string fields). Anything
+ * that was not asked for (percentiles, facets, etc.) is null. The
+ * facets (from "stats.facet") are keyed by facet field, then facet
+ * value, to stats in this same form (without facets).
+ * 
+ * Arguments:
+ *  field - the name of the field
+ * 
+ * Returns:
+ *  hash as above or null if the field is not in the response
+ */
+response.prototype.stats_field = function(field){
+    var robj = this._raw;
+    var ret = null;
+    if( robj.stats && robj.stats.stats_fields &&
+	robj.stats.stats_fields[field] ){
+	    ret = _typed_stats(field, robj.stats.stats_fields[field],
+			       this.named_list_encoding());
+	}
+    return ret;
+};
+
+/*
+ * Function: stats_facet
+ * 
+ * Return the typed statistics for a field broken down by the values
+ * of a "stats.facet" field.
+ * 
+ * : {MGI: {field: "score", min: 0.2, ...}, ZFIN: {...}, ...}
+ * 
+ * Arguments:
+ *  field - the name of the stats field
+ *  facet_field - the name of the field it was faceted on
+ * 
+ * Returns:
+ *  hash of facet values to stats or null if not in the response
+ */
+response.prototype.stats_facet = function(field, facet_field){
+    var ret = null;
+    var fstats = this.stats_field(field);
+    if( fstats && fstats['facets'] && fstats['facets'][facet_field] ){
+	ret = fstats['facets'][facet_field];
+    }
+    return ret;
+};
+
+// Turn a raw stats block into typed stats (see stats_field).
+function _typed_stats(field, sraw, encoding){
+
+    var _count = function(val){
+	return (typeof(val) === 'undefined' || val === null) ?
+	    null : parseInt(val);
+    };
+    var _number = function(val){
+	return (typeof(val) === 'undefined' || val === null) ?
+	    null : parseFloat(val);
+    };
+    var _value = function(val){
+	var ret = null;
+	if( typeof(val) === 'undefined' || val === null ){
+	    // Not there.
+	}else if( _solr_date_p(val) ){
+	    ret = new Date(val);
+	}else if( _numberish_p(val) ){
+	    ret = parseFloat(val);
+	}else{
+	    ret = val;
+	}
+	return ret;
+    };
+
+    var ret = {
+	'field': field,
+	'min': _value(sraw['min']),
+	'max': _value(sraw['max']),
+	'sum': _value(sraw['sum']),
+	'count': _count(sraw['count']),
+	'missing': _count(sraw['missing']),
+	'mean': _value(sraw['mean']),
+	'stddev': _number(sraw['stddev']),
+	'sum_of_squares': _number(sraw['sumOfSquares']),
+	'count_distinct': _count(sraw['countDistinct']),
+	'percentiles': null,
+	'facets': null
+    };
+
+    if( sraw['percentiles'] ){
+	ret['percentiles'] = {};
+	us.each(_named_list_pairs(sraw['percentiles'], encoding), function(pair){
+	    ret['percentiles'][parseFloat(pair[0])] = _value(pair[1]);
+	});
+    }
+
+    if( sraw['facets'] && bbop.is_hash(sraw['facets']) ){
+	ret['facets'] = {};
+	us.each(sraw['facets'], function(fvals, ffield){
+	    ret['facets'][ffield] = {};
+	    us.each(_named_list_pairs(fvals, encoding), function(pair){
+		ret['facets'][ffield][pair[0]] =
+		    _typed_stats(field, pair[1], encoding);
+	    });
+	});
+    }
+
+    return ret;
+}
+
+/*
+ * Function: spellcheck_suggestions
+ * 
+ * Return the spellcheck suggestions in the response, whatever the
+ * "json.nl" encoding, one per misspelled word:
+ * 
+ * : [{word: "neurogensis", num_found: 1, start_offset: 0,
+ * :   end_offset: 11, suggestions: ["neurogenesis"]}, ...]
+ * 
+ * Extended results ({word: ..., freq: ...}) are reduced to their
+ * words.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  list of hashes; empty if there is no spellcheck section
+ */
+response.prototype.spellcheck_suggestions = function(){
+
+    var robj = this._raw;
+    var enc = this.named_list_encoding();
+    var ret = [];
+
+    if( robj.spellcheck && robj.spellcheck.suggestions ){
+	us.each(_named_list_pairs(robj.spellcheck.suggestions, enc), function(pair){
+	    var sugg = pair[1];
+	    if( sugg && ! bbop.is_hash(sugg) ){
+		sugg = _named_list_hash(sugg, enc);
+	    }
+	    // Older servers mix collations and such in here.
+	    if( ! sugg || ! bbop.is_hash(sugg) || ! sugg['suggestion'] ){
+		return;
+	    }
+	    ret.push({
+		'word': pair[0],
+		'num_found': sugg['numFound'],
+		'start_offset': sugg['startOffset'],
+		'end_offset': sugg['endOffset'],
+		'suggestions': us.map(sugg['suggestion'], function(alt){
+		    return (alt && bbop.is_hash(alt)) ? alt['word'] : alt;
+		})
+	    });
+	});
+    }
+
+    return ret;
+};
+
+/*
+ * Function: spellcheck_collations
+ * 
+ * Return the spellcheck collations (whole corrected queries) in the
+ * response, whatever the "json.nl" encoding; extended collations are
+ * reduced to their queries.
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  list of strings; empty if there is no spellcheck section
+ */
+response.prototype.spellcheck_collations = function(){
+
+    var robj = this._raw;
+    var enc = this.named_list_encoding();
+    var ret = [];
+
+    var _add = function(coll){
+	if( coll && ! bbop.is_hash(coll) && bbop.is_array(coll) ){
+	    coll = _named_list_hash(coll, enc);
+	}
+	if( coll && bbop.is_hash(coll) ){
+	    coll = coll['collationQuery'];
+	}
+	if( bbop.what_is(coll) === 'string' ){
+	    ret.push(coll);
+	}
+    };
+
+    if( robj.spellcheck ){
+	// Newer servers have their own section; older ones have them
+	// in with the suggestions.
+	var sections = [robj.spellcheck.collations,
+			robj.spellcheck.suggestions];
+	us.each(sections, function(section){
+	    us.each(_named_list_pairs(section, enc), function(pair){
+		if( pair[0] === 'collation' ){
+		    _add(pair[1]);
+		}
+	    });
+	});
+    }
+
+    return ret;
+};
+
+/*
+ * Function: query
+ * 
+ * Return the raw query parameter "q".
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  string or null
+ */
+response.prototype.query = function(){
+    var params = this._params();
+    var retval = null;
+    
+    if( params.q ){
+	retval = params.q;
+    }
+    
+    return retval;
+};
+
+/*
+ * Function: query_filters
+ *
+ * A sensible handling of the not-so-great format of "fq" returned by
+ * Solr (fq can be irritating single value or irritating array, along
+ * with things like "-" in front of values). Since plus and minus
+ * filters are mutually exclusive, we have a return format like:
+ * 
+ * : {field1: {filter1: (true|false), ...}, ...}
+ * 
+ * Where the true|false value represents a positive (true) or negative
+ * (false) filter.
+ * 
+ * This is a summary view of <parsed_query_filters>: only simple
+ * filters--a single term, phrase, or range on a field, possibly
+ * negated and/or with local params--make it in here.
+ * 
+ * NOTE: compound filters (e.g. "a:1 OR b:2", "taxon:(A OR B)", or
+ * "-(a:b AND c:d)") have no field and value to give, so they are
+ * left out; before filters were parsed, they came out here as
+ * garbled field/value pairs. Use <compound_query_filters> to show or
+ * remove them, and <parsed_query_filters> for what they mean.
+ * Filters that cannot be parsed at all are still split on the first
+ * colon, as best we can.
+ * 
+ * Parameters:
+ *  n/a
+ *
+ * Returns:
+ *  a hash of keyed hashes
+ */
+response.prototype.query_filters = function(){
+    var ret_hash = {};
+
+    us.each(this.parsed_query_filters(), function(filter){
+
+	var simple = null;
+	if( filter['error'] ){
+	    simple = _naive_query_filter(filter['raw']);
+	}else{
+	    simple = query_parser.simple_filter(filter);
+	}
+
+	if( simple ){
+	    var field = simple[0];
+	    var value = simple[1];
+	    var polarity = simple[2];
+	    
+	    // Ensure that there is a place in the return hash
+	    // for us.
+	    if( ! ret_hash[field] ){
+		ret_hash[field] = {};
+	    }
+	    
+	    // The final filter note.
+	    ret_hash[field][value] = polarity;
+	}
+    });
+    
+    return ret_hash;
+};
+
+/*
+ * Function: compound_query_filters
+ * 
+ * Return the filter ("fq") strings that are left out of
+ * <query_filters> because they are not simple filters on a single
+ * field, in the order they were given.
+ * 
+ * Parameters:
+ *  n/a
+ * 
+ * Returns:
+ *  list of strings
+ */
+response.prototype.compound_query_filters = function(){
+    var ret = [];
+    us.each(this.parsed_query_filters(), function(filter){
+	if( ! filter['error'] && ! query_parser.simple_filter(filter) ){
+	    ret.push(filter['raw']);
+	}
+    });
+    return ret;
+};
+
+/*
+ * Function: parsed_query_filters
+ * 
+ * Return the filters ("fq") as parsed trees, in the order they were
+ * given. See query_parser.js for the details of the tree; in short:
+ * 
+ * : [{type: "filter", raw: "taxon:(A OR B)", local_params: null,
+ * :   query: {type: "group", field: "taxon", clause: {...}}}, ...]
+ * 
+ * The default operator is taken from "q.op" if it is there. If a
+ * filter cannot be parsed, its query is null and there is an "error"
+ * with the parser's message.
+ * 
+ * Parameters:
+ *  n/a
+ * 
+ * Returns:
+ *  list of filter trees
+ */
+response.prototype.parsed_query_filters = function(){
+    var ret = [];
+    var fq_list = this.parameter('fq');
+    if( fq_list ){
+	
+	// Ensure that it's a list and not just a naked string (as can
+	// sometimes happen).
+	if( bbop.what_is(fq_list) === 'string'){
+	    fq_list = [fq_list];
+	}
+
+	var qop = this.parameter('q.op');
+	us.each(fq_list, function(fq_item){
+	    var filter = null;
+	    try {
+		filter = query_parser.parse(fq_item, qop);
+	    }catch(e){
+		filter = {
+		    'type': 'filter',
+		    'raw': fq_item,
+		    'local_params': null,
+		    'query': null,
+		    'error': e.message
+		};
+	    }
+	    ret.push(filter);
+	});
+    }
+    return ret;
+};
+
+// The old way of reading a filter: split on the first colon and
+// hope for the best. Returns [field, value, polarity].
+function _naive_query_filter(fq_item){
+
+    // Split everything on colons. Field is the first
+    // one, and everything else joined back together is
+    // the value of the filter. Best if you think about
+    // the GO id and non-GO id cases.
+    var splits = fq_item.split(":");
+    var field = splits.shift();
+    var value = splits.join(":"); // GO 0022008 -> GO:0022008
+    
+    // First let's just assume that we have a positive
+    // filter.
+    var polarity = true;
+    
+    // Check and see if the first value in our
+    // field is '-' or '+'. If so, edit it out, but
+    // change the polarity in the '-' case.
+    if( field.charAt(0) === '-' ){
+	polarity = false;
+	field = field.substring(1, field.length);
+    }else if( field.charAt(0) === '+' ){
+	field = field.substring(1, field.length);
+    }
+    
+    // I want just the first quote and the final quote
+    // gone from the value if they are matching quotes.
+    if( value.charAt(0) === '"' &&
+	value.charAt(value.length -1) === '"' ){
+	    value = value.substring(1, value.length -1);
+	}
+    
+    return [field, value, polarity];
+}
+
+/*
+ * Function: merge_report
+ * 
+ * For a response made by <merge>, a report on how the merge went:
+ * 
+ * : {responses: 3, start: 1, end: 30,
+ * :  gaps: [[11, 20]], overlaps: [], duplicates: 0,
+ * :  total_mismatch_p: false}
+ * 
+ * Gaps and overlaps are inclusive document ranges, counted the same
+ * way as <start_document> and <end_document>. The duplicates are the
+ * number of documents dropped because their id was already seen.
+ * The total mismatch is true if the responses disagree on the
+ * total number of documents (i.e. the index changed while paging).
+ * 
+ * Arguments:
+ *  n/a
+ * 
+ * Returns:
+ *  hash or null if this response was not made by merging
+ */
+response.prototype.merge_report = function(){
+    return this._merge_report;
+};
+
+/*
+ * Function: merge
+ * 
+ * Merge several responses for the same query, fetched in chunks with
+ * different start offsets, into a single response with all of the
+ * documents (and their highlighting), ordered by start offset.
+ * 
+ * The responses must share parameters, other than the paging ones
+ * (start, rows, cursorMark) and packet and callback_type; an Error is
+ * thrown if they do not, or if any is an error or grouped response.
+ * Documents are deduplicated by id. Facets and the rest are taken
+ * from the first response. See <merge_report> for gaps, overlaps,
+ * and the like.
+ * 
+ * This is a function on the constructor, not a method:
+ * 
+ * : var all = bbop_response_golr.merge([resp1, resp2, resp3]);
+ * 
+ * Arguments:
+ *  responses - list of golr response objects
+ * 
+ * Returns:
+ *  new golr response object
+ */
+response.merge = function(responses){
+
+    if( ! responses || responses.length === 0 ){
+	throw new Error('nothing to merge');
+    }
+
+    // Make sure that we're merging like with like.
+    var base_params = null;
+    us.each(responses, function(resp){
+	if( resp.error_p() || resp.grouped_p() || ! resp.documents() ){
+	    throw new Error('can only merge plain, non-error responses');
+	}
+	var params = _merge_params(resp.parameters());
+	if( base_params === null ){
+	    base_params = params;
+	}else{
+	    us.each(us.union(us.keys(base_params), us.keys(params)),
+		    function(key){
+			if( ! us.isEqual(base_params[key], params[key]) ){
+			    throw new Error('cannot merge responses for ' +
+					    'different queries: "' + key +
+					    '" differs');
+			}
+		    });
+	}
+    });
+
+    var sorted = us.sortBy(responses, function(resp){
+	return resp.start_document();
+    });
+
+    var report = {
+	'responses': sorted.length,
+	'start': sorted[0].start_document(),
+	'end': null,
+	'gaps': [],
+	'overlaps': [],
+	'duplicates': 0,
+	'total_mismatch_p': false
+    };
+
+    var docs = [];
+    var seen_ids = {};
+    var highlighting = null;
+    var max_score = null;
+    var next = report['start']; // the next document we expect
+    var total = sorted[0].total_documents();
+
+    us.each(sorted, function(resp){
+
+	var rstart = resp.start_document();
+	var rend = resp.end_document();
+	if( rstart > next ){
+	    report['gaps'].push([next, rstart - 1]);
+	}else if( rstart < next && rend >= rstart ){
+	    report['overlaps'].push([rstart, Math.min(rend, next - 1)]);
+	}
+	next = Math.max(next, rend + 1);
+
+	if( resp.total_documents() !== total ){
+	    report['total_mismatch_p'] = true;
+	}
+
+	us.each(resp.documents(), function(doc){
+	    var did = doc['id'];
+	    if( typeof(did) !== 'undefined' && seen_ids[did] ){
+		report['duplicates']++;
+	    }else{
+		if( typeof(did) !== 'undefined' ){
+		    seen_ids[did] = true;
+		}
+		docs.push(doc);
+	    }
+	});
+
+	var robj = resp.raw();
+	if( robj.highlighting ){
+	    highlighting = us.extend(highlighting || {}, robj.highlighting);
+	}
+	if( robj.response && typeof(robj.response.maxScore) !== 'undefined' &&
+	    ( max_score === null || robj.response.maxScore > max_score ) ){
+		max_score = robj.response.maxScore;
+	    }
+    });
+    report['end'] = next - 1;
+
+    // Build the new raw response around the first one.
+    var merged = bbop.clone(sorted[0].raw());
+    merged['response']['docs'] = bbop.clone(docs);
+    if( max_score !== null ){
+	merged['response']['maxScore'] = max_score;
+    }
+    if( highlighting ){
+	merged['highlighting'] = bbop.clone(highlighting);
+    }
+    if( merged['responseHeader'] && merged['responseHeader']['params'] ){
+	merged['responseHeader']['params']['rows'] =
+	    '' + (report['end'] - report['start'] + 1);
+    }
+
+    var ret = new response(merged);
+    ret._merge_report = report;
+    return ret;
+};
+
+// Parameters as they need to match for merging.
+function _merge_params(params){
+    var ret = bbop.clone(params);
+    us.each(['start', 'rows', 'cursorMark', 'packet', 'callback_type'],
+	    function(key){
+		delete ret[key];
+	    });
+    return ret;
+}
+
+/*
+ * Function: derive_request
+ * 
+ * Return a new request parameter set (see request.js), starting from
+ * this response's parameters, that can be changed and serialized
+ * for the next query:
+ * 
+ * : resp.derive_request().remove_query_filter('source', 'MGI').next_page().url(golr_url)
+ * 
+ * Changes to the request never change this response.
+ * 
+ * Parameters:
+ *  n/a
+ * 
+ * Returns:
+ *  request object
+ */
+response.prototype.derive_request = function(){
+    return new request(this.parameters());
+};
+
+/*
+ * Function: export_table
+ * 
+ * Return the documents as a TSV or CSV table, one row per document,
+ * with one column per field.
+ * 
+ * Each field may be given as a field name or as a hash:
+ * 
+ * : {field: "isa_partof_closure", // the document field
+ * :  header: "closure",           // column header; defaults to the field
+ * :  join: ", ",                  // joins multiple values; defaults to "|"
+ * :  label: true}                 // add a column of labels after this one
+ * 
+ * Label columns are headed "<header> label" and filled in with
+ * <get_doc_label>, falling back on <resolve_label>, with the labels
+ * of multiple values joined in the same way as the values; ids
+ * without labels give empty labels.
+ * 
+ * CSV is quoted as in RFC 4180 (fields with commas, quotes, or line
+ * breaks in double quotes, with quotes doubled) and lines end in
+ * CRLF. TSV cannot be quoted, so tabs and line breaks in values are
+ * turned into spaces and lines end in LF.
+ * 
+ * Options:
+ *  format - "tsv" (default) or "csv"
+ *  header - whether to start with a header row; defaults to true
+ * 
+ * Arguments:
+ *  fields - list of field names or field hashes
+ *  opts - *[optional]* hash of options
+ * 
+ * Returns:
+ *  string
+ */
+response.prototype.export_table = function(fields, opts){
+
+    var anchor = this;
+
+    opts = opts || {};
+    var format = opts['format'] || 'tsv';
+    if( format !== 'tsv' && format !== 'csv' ){
+	throw new Error('unknown table format: ' + format);
+    }
+    var header_p = (opts['header'] !== false);
+
+    var cols = us.map(fields || [], function(f){
+	var col = bbop.what_is(f) === 'string' ? {'field': f} : us.clone(f);
+	if( ! col['header'] ){
+	    col['header'] = col['field'];
+	}
+	if( typeof(col['join']) === 'undefined' || col['join'] === null ){
+	    col['join'] = '|';
+	}
+	return col;
+    });
+
+    var cell = (format === 'csv') ? _csv_cell : _tsv_cell;
+    var sep = (format === 'csv') ? ',' : '\t';
+    var eol = (format === 'csv') ? '\r\n' : '\n';
+
+    var rows = [];
+    if( header_p ){
+	var hrow = [];
+	us.each(cols, function(col){
+	    hrow.push(col['header']);
+	    if( col['label'] ){
+		hrow.push(col['header'] + ' label');
+	    }
+	});
+	rows.push(hrow);
+    }
+
+    us.each(this.documents(), function(doc, i){
+	var row = [];
+	us.each(cols, function(col){
+	    var val = doc[col['field']];
+	    var vals = [];
+	    if( bbop.is_array(val) ){
+		vals = val;
+	    }else if( typeof(val) !== 'undefined' && val !== null ){
+		vals = [val];
+	    }
+	    row.push(vals.join(col['join']));
+	    if( col['label'] ){
+		var lbls = us.map(vals, function(v){
+		    var lbl = anchor.get_doc_label(i, col['field'], v);
+		    if( lbl === null ){
+			lbl = anchor.resolve_label(v);
+		    }
+		    return lbl === null ? '' : lbl;
+		});
+		row.push(lbls.join(col['join']));
+	    }
+	});
+	rows.push(row);
+    });
+
+    return us.map(rows, function(row){
+	return us.map(row, cell).join(sep);
+    }).join(eol) + (rows.length > 0 ? eol : '');
 };
 
+// A CSV cell, quoted as in RFC 4180 when needed.
+function _csv_cell(val){
+    var str = '' + val;
+    if( /[",\r\n]/.test(str) ){
+	str = '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+}
+
+// A TSV cell, which cannot contain tabs or line breaks.
+function _tsv_cell(val){
+    return ('' + val).replace(/\r\n|[\t\r\n]/g, ' ');
+}
+
 /*
- * Function: get_doc_highlight
+ * Function: export_gaf
  * 
- * Returns the highlighted value(s) of the requested fields.
+ * Return the annotation documents (document_category "annotation")
+ * as GAF 2.x, with a header block, along with a report of the
+ * documents that could not be written:
  * 
- * WARNING: This function is a work in progress and will not return
- * multi-valued fields, just the first match it finds.
+ * : {gaf: "!gaf-version: 2.1\n...", lines: 7,
+ * :  skipped: [{id: "...", index: 3, message: "...", missing: ["aspect"]}]}
  * 
- * WARNING: This function could be potentially slow on large datasets.
+ * The columns come from the GOlr annotation fields: "bioentity"
+ * (split into the DB and DB object id), "bioentity_label",
+ * "qualifier", "annotation_class", "reference", "evidence_type",
+ * "evidence_with", "aspect", "bioentity_name", "synonym", "type",
+ * "taxon" (as "taxon:<n>"), "date", "assigned_by",
+ * "annotation_extension_json" (written as "relation(id)", joined by
+ * "|"), and "bioentity_isoform". Documents without a value for a
+ * required column (and, for 2.2, a qualifier) are skipped.
+ * 
+ * Options:
+ *  version - "2.1" (default) or "2.2"
+ *  date - date for the header; defaults to now
+ *  header - list of extra header lines, without the leading "!"
  * 
  * Arguments:
- *  doc_id - document id
- *  field_id - the identifier of the field we're trying to pull
- *  item - the item that we're looking for the highlighted HTML for
+ *  opts - *[optional]* hash of options
  * 
  * Returns:
- *  string of highlight or null if nothing was found
+ *  hash
  */
-response.prototype.get_doc_highlight = function(doc_id,field_id,item){
+response.prototype.export_gaf = function(opts){
 
-    var ret = null;
-    var robj = this._raw;
-    var hlre = this._hl_regexp;
-
-    // See if we can find a highlighted version in the raw
-    // response. First, see if the document is in the hilight section;
-    // otherwise try and pull the id out first, then head for the
-    // highlight section.
-    var hilite_obj = null;
-    if( robj.highlighting && robj.highlighting[doc_id] ){
-	hilite_obj = robj.highlighting[doc_id];
-    }else{
-	var iid = this._doc_index2id[doc_id];
-	if( iid ){
-	    var new_doc = this.get_doc(iid);
-	    var new_doc_id = new_doc['id'];
-	    if( robj.highlighting && robj.highlighting[new_doc_id] ){
-		hilite_obj = robj.highlighting[new_doc_id];
-	    }
-	}
+    opts = opts || {};
+    var version = opts['version'] || '2.1';
+    if( version !== '2.1' && version !== '2.2' ){
+	throw new Error('unknown GAF version: ' + version);
     }
+    var date = opts['date'] || new Date();
 
-    // If we got a highlight object, see if the highlighted field is
-    // there--search the different possibilities for what a highlight
-    // field may be called.
-    if( hilite_obj ){
-	
-	//console.log('here (field_id): ' + field_id);
+    var header = [
+	'!gaf-version: ' + version,
+	'!generated-by: bbop-response-golr',
+	'!date-generated: ' + date.getFullYear() + '-' +
+	    _pad2(date.getMonth() + 1) + '-' + _pad2(date.getDate())
+    ];
+    us.each(opts['header'] || [], function(line){
+	header.push('!' + line);
+    });
 
-	var ans = null;
+    var required = us.filter(_gaf_columns, function(col){
+	return col['required'] || (col['name'] === 'qualifier' && version === '2.2');
+    });
 
-	if( hilite_obj[field_id + '_label_searchable'] ){
-	    ans = hilite_obj[field_id + '_label_searchable'];
-	}
+    var lines = [];
+    var skipped = [];
+    us.each(this.documents(), function(doc, i){
 
-	if( ! ans ){
-	    if( hilite_obj[field_id + '_label'] ){
-		ans = hilite_obj[field_id + '_label'];
-	    }	    
+	var cat = doc['document_category'];
+	if( bbop.is_array(cat) ){
+	    cat = cat[0];
 	}
-
-	if( ! ans ){
-	    if( hilite_obj[field_id + '_searchable'] ){
-		ans = hilite_obj[field_id + '_searchable'];
-	    }
+	if( cat !== 'annotation' ){
+	    skipped.push({'id': doc['id'] || null, 'index': i,
+			  'message': 'not an annotation document',
+			  'missing': []});
+	    return;
 	}
 
-	if( ! ans ){
-	    if( hilite_obj[field_id] ){
-		//console.log('here (field_id): ' + field_id);
-		ans = hilite_obj[field_id];
+	var vals = us.map(_gaf_columns, function(col){
+	    return _tsv_cell(col['value'](doc));
+	});
+
+	var missing = [];
+	us.each(_gaf_columns, function(col, c){
+	    if( us.contains(required, col) && vals[c] === '' ){
+		missing.push(col['name']);
 	    }
+	});
+	if( missing.length > 0 ){
+	    skipped.push({'id': doc['id'] || null, 'index': i,
+			  'message': 'missing required GAF columns',
+			  'missing': missing});
+	}else{
+	    lines.push(vals.join('\t'));
 	}
+    });
 
-	if( ans ){ // looks like I found a list of something
+    return {
+	'gaf': header.concat(lines).join('\n') + '\n',
+	'lines': lines.length,
+	'skipped': skipped
+    };
+};
 
-	    // Use only the first match.
-	    var matches_p = false;
-	    us.each(ans, function(an){
-		if( ! matches_p ){
-		    var stripped = an.replace(hlre, '');
-		    //console.log('stripped: ' + stripped);
-		    //console.log('item: ' + item);
-		    if( item === stripped ){
-			matches_p = true;
-			ret = an;
-		    }
-		}
-	    });
-	}
+// A field's values joined for a GAF column.
+function _gaf_field(doc, field){
+    var val = doc[field];
+    var vals = [];
+    if( bbop.is_array(val) ){
+	vals = val;
+    }else if( typeof(val) !== 'undefined' && val !== null ){
+	vals = [val];
     }
+    return vals.join('|');
+}
 
-    return ret;
-};
+// The DB and DB object id parts of the bioentity.
+function _gaf_bioentity(doc, part){
+    var be = _gaf_field(doc, 'bioentity');
+    var colon = be.indexOf(':');
+    if( colon === -1 ){
+	return part === 0 ? '' : be;
+    }
+    return part === 0 ? be.substring(0, colon) : be.substring(colon + 1);
+}
 
-// /*
-//  * Function: facet_fields
-//  * 
-//  * Return a count sorted array of the response's facet fields and counts.
-//  * 
-//  * Arguments:
-//  *  n/a
-//  * 
-//  * Returns:
-//  *  list of string/integer doublets
-//  */
-// response.prototype.facet_fields = function(){
-//     var robj = this._raw;
-//     return robj.facet_counts.facet_fields;
-// };
+// The GAF columns, in order, with whether they are required in GAF
+// 2.x and how to get them from an annotation document.
+var _gaf_columns = [
+    {'name': 'db', 'required': true, 'value': function(doc){
+	return _gaf_bioentity(doc, 0);
+    }},
+    {'name': 'db_object_id', 'required': true, 'value': function(doc){
+	return _gaf_bioentity(doc, 1);
+    }},
+    {'name': 'db_object_symbol', 'required': true, 'value': function(doc){
+	return _gaf_field(doc, 'bioentity_label');
+    }},
+    {'name': 'qualifier', 'required': false, 'value': function(doc){
+	return _gaf_field(doc, 'qualifier').replace(/(^|\|)not(?=\||$)/gi, '$1NOT');
+    }},
+    {'name': 'go_id', 'required': true, 'value': function(doc){
+	return _gaf_field(doc, 'annotation_class');
+    }},
+    {'name': 'db_reference', 'required': true, 'value': function(doc){
+	return _gaf_field(doc, 'reference');
+    }},
+    {'name': 'evidence_code', 'required': true, 'value': function(doc){
+	return _gaf_field(doc, 'evidence_type');
+    }},
+    {'name': 'with_from', 'required': false, 'value': function(doc){
+	return _gaf_field(doc, 'evidence_with');
+    }},
+    {'name': 'aspect', 'required': true, 'value': function(doc){
+	return _gaf_field(doc, 'aspect');
+    }},
+    {'name': 'db_object_name', 'required': false, 'value': function(doc){
+	return _gaf_field(doc, 'bioentity_name');
+    }},
+    {'name': 'db_object_synonym', 'required': false, 'value': function(doc){
+	return _gaf_field(doc, 'synonym');
+    }},
+    {'name': 'db_object_type', 'required': true, 'value': function(doc){
+	return _gaf_field(doc, 'type');
+    }},
+    {'name': 'taxon', 'required': true, 'value': function(doc){
+	return _gaf_field(doc, 'taxon').replace(/NCBITaxon:/g, 'taxon:');
+    }},
+    {'name': 'date', 'required': true, 'value': function(doc){
+	return _gaf_field(doc, 'date');
+    }},
+    {'name': 'assigned_by', 'required': true, 'value': function(doc){
+	return _gaf_field(doc, 'assigned_by');
+    }},
+    {'name': 'annotation_extension', 'required': false, 'value': function(doc){
+	var exts = [];
+	var jsons = doc['annotation_extension_json'];
+	us.each(bbop.is_array(jsons) ? jsons : (jsons ? [jsons] : []), function(js){
+	    var ext = null;
+	    try {
+		ext = JSON.parse(js);
+	    }catch(e){
+		// Nothing we can write.
+	    }
+	    if( ext && ext['relationship'] ){
+		var rel = ext['relationship'];
+		var rname = rel['relation'];
+		if( bbop.is_array(rname) ){
+		    rname = rname[0];
+		}
+		if( rname && bbop.is_hash(rname) ){
+		    rname = rname['label'] || rname['id'];
+		}
+		// GAF relation names are written with underscores.
+		if( rname && rel['id'] ){
+		    exts.push(rname.replace(/ /g, '_') + '(' + rel['id'] + ')');
+		}
+	    }
+	});
+	return exts.join('|');
+    }},
+    {'name': 'gene_product_form_id', 'required': false, 'value': function(doc){
+	return _gaf_field(doc, 'bioentity_isoform');
+    }}
+];
+
+// Zero-padded two-digit number.
+function _pad2(n){
+    return (n < 10 ? '0' : '') + n;
+}
 
 /*
- * Function: facet_field_list
+ * Function: from_xml
  * 
- * Return a count sorted array of the response's facet fields.
+ * Make a response from a Solr XML response (wt=xml) string (see
+ * solr_xml.js), instead of the usual JSON.
  * 
  * Arguments:
- *  n/a
+ *  xml_str - the XML response string
  * 
  * Returns:
- *  list of strings
+ *  golr response object; throws an Error if the XML cannot be parsed
  */
-response.prototype.facet_field_list = function(){
-    var robj = this._raw;
-    return us.keys(robj.facet_counts.facet_fields).sort();
+response.from_xml = function(xml_str){
+    return new response(solr_xml.parse(xml_str));
 };
 
 /*
- * Function: facet_field
- * 
- * Return a count-sorted array of a facet field's response.
+ * Function: from_csv
  * 
- * : [["foo", 60], ...]
+ * Make a response from Solr CSV (wt=csv) output (see solr_csv.js for
+ * the options), instead of the usual JSON. Only the documents (and
+ * whatever is given in the options) are available.
  * 
  * Arguments:
- *  facet_name - name of the facet to examine
+ *  csv_str - the CSV response string
+ *  opts - *[optional]* hash of options
  * 
  * Returns:
- *  list of nested lists
+ *  golr response object; throws an Error if the CSV cannot be parsed
  */
-response.prototype.facet_field = function(facet_name){
-    var robj = this._raw;
-    return robj.facet_counts.facet_fields[facet_name];
+response.from_csv = function(csv_str, opts){
+    return new response(solr_csv.parse(csv_str, opts));
 };
 
 /*
- * Function: facet_counts
+ * Function: read_stream
  * 
- * For a given facet field, return a hash of that field's items and
- * their counts.
+ * Read a GOlr JSON response from a Node readable stream, bit by bit,
+ * without needing the whole text (or all of the documents) in memory
+ * at once. Returns an event emitter with the events:
+ * 
+ *  header - (response_header) when the "responseHeader" (with the params) is read
+ *  response - ({numFound: ..., start: ..., maxScore: ...}) just before the documents
+ *  document - (doc, index) for each document, as it is read
+ *  section - (name, value) for each other top-level section (e.g. "facet_counts", "highlighting") as it is read
+ *  end - (golr_response) with the response once it is all read
+ *  error - (error) if the stream fails or is not JSON
+ * 
+ * The response at the end has all of the usual paging, facet, and
+ * other accessors; unless "keep_documents" is set, its documents are
+ * not kept, so <documents> is empty (but <end_document> and paging
+ * still count them). Grouped documents are always kept.
+ * 
+ * Options:
+ *  keep_documents - whether to keep the documents in the final response; defaults to false
  * 
  * Arguments:
- *  n/a
+ *  readable - Node readable stream of the response text
+ *  opts - *[optional]* hash of options
  * 
  * Returns:
- *  hash of facets to their integer counts
+ *  event emitter
  */
-response.prototype.facet_counts = function(){
+response.read_stream = function(readable, opts){
 
-    var robj = this._raw;
-    var ret_hash = {};
+    opts = opts || {};
+    var keep_p = !! opts['keep_documents'];
 
-    var anchor = this;
-    
-    var facet_field_list = this.facet_field_list();
-    us.each(facet_field_list, function(ffield){
-	
-	// Make sure the top field is present,
-	if( ! ret_hash[ffield] ){
-	    ret_hash[ffield] = {};		
+    var emitter = new events.EventEmitter();
+    var meta = {};
+    var meta_sent_p = false;
+    var count = 0;
+    var failed_p = false;
+
+    var _send_meta = function(){
+	if( ! meta_sent_p ){
+	    meta_sent_p = true;
+	    emitter.emit('response', meta);
+	}
+    };
+
+    var parser = new json_stream({
+	'open': function(path, type){
+	    if( path.length === 2 && path[0] === 'response' &&
+		path[1] === 'docs' ){
+		    _send_meta();
+		}
+	},
+	'value': function(path, value){
+	    var drop_p = false;
+	    if( path[0] === 'response' ){
+		if( path.length === 3 && path[1] === 'docs' ){
+		    emitter.emit('document', value, count);
+		    count++;
+		    drop_p = ! keep_p;
+		}else if( path.length === 2 && path[1] !== 'docs' ){
+		    meta[path[1]] = value;
+		}else if( path.length === 1 ){
+		    _send_meta();
+		}
+	    }else if( path.length === 1 ){
+		if( path[0] === 'responseHeader' ){
+		    emitter.emit('header', value);
+		}else{
+		    emitter.emit('section', path[0], value);
+		}
+	    }
+	    return drop_p;
+	}
+    }, 3);
+
+    var _fail = function(err){
+	if( ! failed_p ){
+	    failed_p = true;
+	    emitter.emit('error', err);
+	}
+    };
+
+    if( typeof(readable.setEncoding) === 'function' ){
+	readable.setEncoding('utf8');
+    }
+    readable.on('data', function(chunk){
+	if( ! failed_p ){
+	    try {
+		parser.write('' + chunk);
+	    }catch(err){
+		_fail(err);
+	    }
 	}
-	
-	var facet_field_items = anchor.facet_field(ffield);
-	us.each(facet_field_items, function(item, index){
-	    var name = item[0];
-	    var count = item[1];
-	    ret_hash[ffield][name] = count;
-	});
     });
-    
-    return ret_hash;
+    readable.on('error', _fail);
+    readable.on('end', function(){
+	if( failed_p ){
+	    return;
+	}
+	var robj = null;
+	try {
+	    robj = parser.end();
+	}catch(err){
+	    _fail(err);
+	    return;
+	}
+	var resp = new response(robj);
+	if( ! keep_p && robj && robj['response'] ){
+	    resp._streamed_count = count;
+	}
+	emitter.emit('end', resp);
+    });
+
+    return emitter;
 };
 
+// The snapshot format produced by toJSON(); the version goes up when
+// a snapshot from an older one can no longer be read.
+var snapshot_format = 'bbop-response-golr.snapshot';
+var snapshot_version = 1;
+
+// The caches that are kept in snapshots.
+var snapshot_caches = [
+    '_doc_id2index', '_doc_index2id', '_doc_label_maps', '_label_index',
+    '_merge_report', '_streamed_count', '_validation_profile'
+];
+
 /*
- * Function: query
+ * Function: metadata
  * 
- * Return the raw query parameter "q".
+ * Get or set information about where the response came from, to be
+ * kept with it in snapshots (see <toJSON>). By convention, "fetched"
+ * is the time of the request (as an ISO 8601 string) and "source_url"
+ * the URL that it was made to; anything else that can be written as
+ * JSON may be added. Setting merges with what is already there.
+ * 
+ * : resp.metadata({fetched: new Date().toISOString(), source_url: url});
  * 
  * Arguments:
- *  n/a
+ *  meta - *[optional]* hash of information to add
  * 
  * Returns:
- *  string or null
+ *  a copy of the metadata hash
  */
-response.prototype.query = function(){
-    var robj = this._raw;    
-    var retval = null;
-    
-    if( robj.responseHeader.params && robj.responseHeader.params.q ){
-	retval = robj.responseHeader.params.q;
+response.prototype.metadata = function(meta){
+    if( meta && bbop.is_hash(meta) ){
+	us.extend(this._metadata, bbop.clone(meta));
     }
-    
-    return retval;
+    return bbop.clone(this._metadata);
 };
 
 /*
- * Function: query_filters
- *
- * A sensible handling of the not-so-great format of "fq" returned by
- * Solr (fq can be irritating single value or irritating array, along
- * with things like "-" in front of values). Since plus and minus
- * filters are mutually exclusive, we have a return format like:
+ * Function: toJSON
  * 
- * : {field1: {filter1: (true|false), ...}, ...}
+ * Return a versioned snapshot of the response that can be written as
+ * JSON (JSON.stringify() uses this) and read back with <fromJSON>:
+ * the raw response, the metadata (see <metadata>), and the
+ * document and label indices built so far, so they need not be
+ * built again.
  * 
- * Where the true|false value represents a positive (true) or negative
- * (false) filter.
+ * : {format: "bbop-response-golr.snapshot", version: 1,
+ * :  metadata: {...}, raw: {...}, caches: {...}}
  * 
- * Parameters:
+ * A schema (see <schema>) is not kept and needs to be set again.
+ * 
+ * Arguments:
  *  n/a
- *
+ * 
  * Returns:
- *  a hash of keyed hashes
+ *  hash
  */
-response.prototype.query_filters = function(){
-    var robj = this._raw;    
-    var ret_hash = {};
-    var fq_list = this.parameter('fq');
-    if( fq_list ){
-	
-	// Ensure that it's a list and not just a naked string (as can
-	// sometimes happen).
-	if( bbop.what_is(fq_list) === 'string'){
-	    fq_list = [fq_list];
+response.prototype.toJSON = function(){
+    var anchor = this;
+    var caches = {};
+    us.each(snapshot_caches, function(cache){
+	if( anchor[cache] !== null && typeof(anchor[cache]) !== 'undefined' ){
+	    caches[cache] = anchor[cache];
 	}
-	
-	// Make the return fq more tolerable.
-	us.each(fq_list, function(fq_item){
-	    
-	    // Split everything on colons. Field is the first
-	    // one, and everything else joined back together is
-	    // the value of the filter. Best if you think about
-	    // the GO id and non-GO id cases.
-	    var splits = fq_item.split(":");
-	    var field = splits.shift();
-	    var value = splits.join(":"); // GO 0022008 -> GO:0022008
-	    
-	    // First let's just assume that we have a positive
-	    // filter.
-	    var polarity = true;
-	    
-	    // Check and see if the first value in our
-	    // field is '-' or '+'. If so, edit it out, but
-	    // change the polarity in the '-' case.
-	    if( field.charAt(0) === '-' ){
-		polarity = false;
-		field = field.substring(1, field.length);
-	    }else if( field.charAt(0) === '+' ){
-		field = field.substring(1, field.length);
-	    }
-	    
-	    // Ensure that there is a place in the return hash
-	    // for us.
-	    if( ! ret_hash[field] ){
-		ret_hash[field] = {};
-	    }
-	    
-	    // I want just the first quote and the final quote
-	    // gone from the value if they are matching quotes.
-	    if( value.charAt(0) === '"' &&
-		value.charAt(value.length -1) === '"' ){
-		    value = value.substring(1, value.length -1);
-		}
-	    
-	    // The final filter note.
-	    ret_hash[field][value] = polarity;
-	    
-	});
+    });
+    return {
+	'format': snapshot_format,
+	'version': snapshot_version,
+	'metadata': this._metadata,
+	'raw': this._raw,
+	'caches': caches
+    };
+};
+
+/*
+ * Function: snapshot_compatible_p
+ * 
+ * Whether a snapshot (see <toJSON>) can be read by this version of
+ * the library. The reason it cannot is given by <fromJSON>.
+ * 
+ * Arguments:
+ *  snapshot - snapshot hash or JSON string
+ * 
+ * Returns:
+ *  boolean
+ */
+response.snapshot_compatible_p = function(snapshot){
+    return _snapshot_problem(snapshot) === null;
+};
+
+/*
+ * Function: fromJSON
+ * 
+ * Make a response from a snapshot (see <toJSON>), with its metadata
+ * and indices. Throws an Error if the snapshot is not one, or is from
+ * an incompatible version.
+ * 
+ * Arguments:
+ *  snapshot - snapshot hash or JSON string
+ * 
+ * Returns:
+ *  golr response object
+ */
+response.fromJSON = function(snapshot){
+
+    if( bbop.what_is(snapshot) === 'string' ){
+	snapshot = JSON.parse(snapshot);
     }
-    
-    return ret_hash;
+    var problem = _snapshot_problem(snapshot);
+    if( problem !== null ){
+	throw new Error('cannot read response snapshot: ' + problem);
+    }
+
+    var resp = new response(bbop.clone(snapshot['raw']));
+    resp._metadata = bbop.clone(snapshot['metadata'] || {});
+    var caches = snapshot['caches'] || {};
+    us.each(snapshot_caches, function(cache){
+	if( us.has(caches, cache) ){
+	    resp[cache] = bbop.clone(caches[cache]);
+	}
+    });
+    return resp;
 };
 
+// What is wrong with a snapshot, or null if nothing.
+function _snapshot_problem(snapshot){
+    var ret = null;
+    if( bbop.what_is(snapshot) === 'string' ){
+	try {
+	    snapshot = JSON.parse(snapshot);
+	}catch(e){
+	    return 'not JSON';
+	}
+    }
+    if( ! snapshot || ! bbop.is_hash(snapshot) ||
+	snapshot['format'] !== snapshot_format ){
+	    ret = 'not a response snapshot';
+	}else if( snapshot['version'] !== snapshot_version ){
+	    ret = 'snapshot version ' + snapshot['version'] +
+		' is not the supported version ' + snapshot_version;
+	}else if( typeof(snapshot['raw']) === 'undefined' ){
+	    ret = 'no raw response';
+	}
+    return ret;
+}
+
 ///
 /// Exportable body.
 ///
 
+response.request = request;
+response.schema = schema;
+response.cache = cache;
+
 module.exports = response;
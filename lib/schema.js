@@ -0,0 +1,289 @@
+/*
+ * Package: schema.js
+ *
+ * Namespace: bbop.golr.schema
+ *
+ * A light wrapper around a GOlr class/field configuration (the same
+ * field definitions AmiGO uses, as loaded from the YAML files or the
+ * combined golr.json), for turning raw documents into typed ones:
+ * single-valued fields are single values, multi-valued fields are
+ * always lists, numbers and booleans are numbers and booleans, and
+ * fields that the schema does not know about are reported.
+ *
+ * YAML is not parsed here; load it with the YAML library of your
+ * choice and hand over the resulting object.
+ */
+
+var bbop = require('bbop-core');
+var us = require('underscore');
+
+// Fields that Solr adds that will never be in a GOlr schema.
+var solr_fields = ['score', '_version_'];
+
+// Suffixes that GOlr generates for fields on its own.
+var generated_suffixes = ['_searchable'];
+
+/*
+ * Constructor: schema
+ *
+ * Contructor for a GOlr schema.
+ *
+ * The configuration may be a single class (an object with a "fields"
+ * list), a hash of class ids to classes (as in golr.json), a list of
+ * classes, or any of these as a JSON string.
+ *
+ * Arguments:
+ *  golr_conf - the GOlr configuration
+ *
+ * Returns:
+ *  schema object
+ */
+var schema = function(golr_conf){
+    this._is_a = 'bbop-response-golr.schema';
+
+    if( bbop.what_is(golr_conf) === 'string' ){
+	golr_conf = JSON.parse(golr_conf);
+    }
+
+    var classes = [];
+    if( bbop.is_array(golr_conf) ){
+	classes = golr_conf;
+    }else if( golr_conf && bbop.is_hash(golr_conf) ){
+	if( bbop.is_array(golr_conf['fields']) ){
+	    classes = [golr_conf];
+	}else{
+	    classes = us.filter(us.values(golr_conf), function(cls){
+		return cls && bbop.is_array(cls['fields']);
+	    });
+	}
+    }
+    if( classes.length === 0 ){
+	throw new Error('no GOlr classes found in configuration');
+    }
+
+    // {<class id>: {<field id>: <field conf>, ...}, ...}
+    var anchor = this;
+    this._classes = {};
+    this._class_order = [];
+    this._categories = {};
+    us.each(classes, function(cls){
+	var cid = cls['id'];
+	anchor._class_order.push(cid);
+	anchor._classes[cid] = {};
+	us.each(cls['fields'], function(fconf){
+	    anchor._classes[cid][fconf['id']] = fconf;
+	});
+	anchor._categories[cls['document_category'] || cid] = cid;
+    });
+};
+
+/*
+ * Function: class_ids
+ *
+ * The ids of the classes in the schema.
+ *
+ * Arguments:
+ *  n/a
+ *
+ * Returns:
+ *  list of strings
+ */
+schema.prototype.class_ids = function(){
+    return this._class_order.slice(0);
+};
+
+/*
+ * Function: class_for
+ *
+ * The id of the class that a document belongs to, by its
+ * "document_category". If there is only one class, every document
+ * belongs to it.
+ *
+ * Arguments:
+ *  doc - document hash
+ *
+ * Returns:
+ *  string or null
+ */
+schema.prototype.class_for = function(doc){
+    var ret = null;
+    var cat = doc ? doc['document_category'] : null;
+    if( bbop.is_array(cat) ){
+	cat = cat[0];
+    }
+    if( cat && this._categories[cat] ){
+	ret = this._categories[cat];
+    }else if( this._class_order.length === 1 ){
+	ret = this._class_order[0];
+    }
+    return ret;
+};
+
+/*
+ * Function: field
+ *
+ * The configuration of a field in a class. Generated fields (e.g.
+ * "<field>_searchable") get the configuration of their base field.
+ *
+ * Arguments:
+ *  class_id - the class id
+ *  field_id - the field id
+ *
+ * Returns:
+ *  field configuration hash or null
+ */
+schema.prototype.field = function(class_id, field_id){
+    var ret = null;
+    var fields = this._classes[class_id];
+    if( fields ){
+	if( fields[field_id] ){
+	    ret = fields[field_id];
+	}else{
+	    us.each(generated_suffixes, function(suffix){
+		var base = field_id.substring(0, field_id.length - suffix.length);
+		if( ret === null && base + suffix === field_id && fields[base] ){
+		    ret = fields[base];
+		}
+	    });
+	}
+    }
+    return ret;
+};
+
+/*
+ * Function: type_document
+ *
+ * Return a typed copy of a document, along with any warnings:
+ *
+ * : {doc: {...}, warnings: [{field: "foo", message: "not in schema"}]}
+ *
+ * Fields with "cardinality: multi" are always lists, empty when the
+ * field is not in the document at all; others are single values (the
+ * first, with a warning, if a list of more than one came in).
+ * Integer and float types become numbers and booleans become
+ * booleans; values that cannot be read as their type are left as
+ * they were, with a warning, and everything else is left as it was.
+ * Fields not in the schema are kept as they were, with a warning.
+ *
+ * Arguments:
+ *  doc - document hash
+ *
+ * Returns:
+ *  hash
+ */
+schema.prototype.type_document = function(doc){
+
+    var anchor = this;
+    var ret = {'doc': {}, 'warnings': []};
+
+    var cid = this.class_for(doc);
+    if( cid === null ){
+	ret['doc'] = bbop.clone(doc);
+	ret['warnings'].push({
+	    'field': 'document_category',
+	    'message': 'no schema class for document'
+	});
+	return ret;
+    }
+
+    us.each(doc, function(val, fid){
+
+	var fconf = anchor.field(cid, fid);
+	if( ! fconf ){
+	    if( ! us.contains(solr_fields, fid) ){
+		ret['warnings'].push({
+		    'field': fid,
+		    'message': 'not in schema class "' + cid + '"'
+		});
+	    }
+	    ret['doc'][fid] = bbop.clone(val);
+	}else{
+	    var vals = bbop.is_array(val) ? val : [val];
+	    vals = us.map(vals, function(v){
+		var typed = _typed_value(fconf['type'], v);
+		if( typed === undefined ){
+		    ret['warnings'].push({
+			'field': fid,
+			'message': 'value "' + v + '" is not of type ' +
+			    fconf['type'] + '; left as it was'
+		    });
+		    typed = v;
+		}
+		return typed;
+	    });
+	    if( fconf['cardinality'] === 'multi' ){
+		ret['doc'][fid] = vals;
+	    }else{
+		if( vals.length > 1 ){
+		    ret['warnings'].push({
+			'field': fid,
+			'message': 'single-valued field has ' + vals.length +
+			    ' values; using the first'
+		    });
+		}
+		ret['doc'][fid] = vals.length > 0 ? vals[0] : null;
+	    }
+	}
+    });
+
+    // Multi-valued fields are always there, if only as an empty list.
+    us.each(this._classes[cid], function(fconf, fid){
+	if( fconf['cardinality'] === 'multi' && ! us.has(ret['doc'], fid) ){
+	    ret['doc'][fid] = [];
+	}
+    });
+
+    return ret;
+};
+
+// Convert a value by its GOlr type; undefined if it cannot be.
+function _typed_value(type, val){
+    var ret = val;
+    var str = ('' + val).replace(/^\s+|\s+$/g, '');
+    if( val === null || typeof(val) === 'undefined' ){
+	ret = null;
+    }else if( type === 'integer' || type === 'int' || type === 'long' ){
+	ret = /^[+-]?\d+$/.test(str) ? parseInt(str, 10) : undefined;
+    }else if( type === 'float' || type === 'double' ){
+	var num = Number(str);
+	ret = (str === '' || (isNaN(num) && str !== 'NaN')) ? undefined : num;
+    }else if( type === 'boolean' ){
+	if( val === true || str === 'true' ){
+	    ret = true;
+	}else if( val === false || str === 'false' ){
+	    ret = false;
+	}else{
+	    ret = undefined;
+	}
+    }
+    return ret;
+}
+
+/*
+ * Function: ensure
+ *
+ * A schema from either a schema object (returned as it is) or
+ * anything that the constructor takes, so that everything that uses
+ * a schema can be handed either.
+ *
+ * Arguments:
+ *  schema_or_conf - schema object or GOlr configuration
+ *
+ * Returns:
+ *  schema object
+ */
+function ensure(schema_or_conf){
+    var ret = schema_or_conf;
+    if( ! (schema_or_conf instanceof schema) ){
+	ret = new schema(schema_or_conf);
+    }
+    return ret;
+}
+
+///
+/// Exportable body.
+///
+
+schema.ensure = ensure;
+
+module.exports = schema;
@@ -0,0 +1,234 @@
+/*
+ * Package: solr_csv.js
+ *
+ * Namespace: bbop.golr.solr_csv
+ *
+ * A reader for the output of Solr's CSV response writer (wt=csv),
+ * turning it into the same object that the JSON response format
+ * (wt=json) would have given, so that it can be handed to the
+ * response constructor (see response.from_csv()).
+ *
+ * CSV only carries the documents: there is no header, no facets, no
+ * count of all the documents, and no types. What is known about
+ * these can be passed in (see <parse>); a GOlr schema (see schema.js)
+ * gives both the multi-valued fields and the types.
+ */
+
+var bbop = require('bbop-core');
+var us = require('underscore');
+
+var schema = require('./schema');
+
+/*
+ * Function: parse
+ *
+ * Parse Solr CSV output into the object the JSON response would be.
+ * The first row is taken as the field names; empty cells are missing
+ * fields. Quoting is as in RFC 4180 (with the given encapsulator).
+ *
+ * Multi-valued fields are written by Solr as one cell, with the
+ * values separated by "csv.mv.separator" (escaped with
+ * "csv.mv.escape"); these are split back into lists for the fields
+ * listed in "multi_valued" and, with a schema, for the fields with
+ * "cardinality: multi". With a schema, the documents are typed too.
+ *
+ * Solr's own "score" is always a number; if it is there, so is the
+ * "maxScore" of the documents.
+ *
+ * Options:
+ *  separator - the csv.separator used; defaults to ","
+ *  encapsulator - the csv.encapsulator used; defaults to '"'
+ *  mv_separator - the csv.mv.separator used; defaults to the separator
+ *  mv_escape - the csv.mv.escape used; defaults to "\"
+ *  multi_valued - list of multi-valued fields
+ *  schema - a GOlr schema object or configuration (see schema.js)
+ *  params - the parameters of the request; defaults to {wt: "csv"}
+ *  num_found - the total number of documents; defaults to the number read
+ *  start - the offset of the first document; defaults to 0
+ *
+ * Arguments:
+ *  csv_str - the CSV response string
+ *  opts - *[optional]* hash of options
+ *
+ * Returns:
+ *  hash; throws an Error if the string cannot be parsed
+ */
+function parse(csv_str, opts){
+
+    if( typeof(csv_str) !== 'string' ){
+	throw new Error('can only parse strings');
+    }
+
+    opts = opts || {};
+    var sep = opts['separator'] || ',';
+    var encap = opts['encapsulator'] || '"';
+    var mv_sep = opts['mv_separator'] || sep;
+    var mv_esc = opts['mv_escape'] || '\\';
+    var multi = opts['multi_valued'] || [];
+    var golr_schema = opts['schema'] ? schema.ensure(opts['schema']) : null;
+
+    var rows = _rows(csv_str, sep, encap);
+    var fields = rows.length > 0 ? rows.shift()['cells'] : [];
+
+    var docs = us.map(rows, function(row_info){
+	var row = row_info['cells'];
+	if( row.length !== fields.length ){
+	    throw new Error('CSV row on line ' + row_info['line'] + ' has ' +
+			    row.length + ' cells, not ' + fields.length);
+	}
+	var doc = {};
+	us.each(fields, function(field, i){
+	    if( row[i] !== '' ){
+		doc[field] = row[i];
+	    }
+	});
+	if( us.has(doc, 'score') ){
+	    doc['score'] = parseFloat(doc['score']);
+	}
+
+	if( golr_schema ){
+	    var cid = golr_schema.class_for(doc);
+	    us.each(doc, function(val, field){
+		var fconf = cid ? golr_schema.field(cid, field) : null;
+		if( (fconf && fconf['cardinality'] === 'multi') ||
+		    us.contains(multi, field) ){
+			doc[field] = _split_mv(val, mv_sep, mv_esc);
+		    }
+	    });
+	    doc = golr_schema.type_document(doc)['doc'];
+	}else{
+	    us.each(multi, function(field){
+		if( us.has(doc, field) ){
+		    doc[field] = _split_mv(doc[field], mv_sep, mv_esc);
+		}
+	    });
+	}
+	return doc;
+    });
+
+    var num_found = docs.length;
+    if( typeof(opts['num_found']) === 'number' ){
+	num_found = opts['num_found'];
+    }
+
+    var ret = {
+	'responseHeader': {
+	    'status': 0,
+	    'params': bbop.clone(opts['params'] || {'wt': 'csv'})
+	},
+	'response': {
+	    'numFound': num_found,
+	    'start': opts['start'] || 0,
+	    'docs': docs
+	}
+    };
+
+    var scores = us.filter(us.pluck(docs, 'score'), function(score){
+	return typeof(score) === 'number' && ! isNaN(score);
+    });
+    if( scores.length > 0 ){
+	ret['response']['maxScore'] = us.max(scores);
+    }
+
+    return ret;
+}
+
+// Split CSV text into rows of cells, each with the (one-based)
+// line of the text it starts on: [{cells: [...], line: 1}, ...].
+function _rows(str, sep, encap){
+
+    var rows = [];
+    var row = [];
+    var cell = '';
+    var quoted_p = false;
+    var pos = 0;
+    var line = 1;
+    var row_line = 1;
+
+    var _end_cell = function(){
+	row.push(cell);
+	cell = '';
+    };
+    var _end_row = function(){
+	_end_cell();
+	// Skip blank lines.
+	if( ! (row.length === 1 && row[0] === '') ){
+	    rows.push({'cells': row, 'line': row_line});
+	}
+	row = [];
+	row_line = line + 1;
+    };
+
+    while( pos < str.length ){
+	var c = str.charAt(pos);
+	if( quoted_p ){
+	    if( c === encap ){
+		if( str.charAt(pos + 1) === encap ){
+		    cell += encap;
+		    pos++;
+		}else{
+		    quoted_p = false;
+		}
+	    }else{
+		if( c === '\n' || (c === '\r' && str.charAt(pos + 1) !== '\n') ){
+		    line++;
+		}
+		cell += c;
+	    }
+	}else if( c === encap ){
+	    quoted_p = true;
+	}else if( str.substr(pos, sep.length) === sep ){
+	    _end_cell();
+	    pos += sep.length - 1;
+	}else if( c === '\r' && str.charAt(pos + 1) === '\n' ){
+	    _end_row();
+	    line++;
+	    pos++;
+	}else if( c === '\n' || c === '\r' ){
+	    _end_row();
+	    line++;
+	}else{
+	    cell += c;
+	}
+	pos++;
+    }
+    if( quoted_p ){
+	throw new Error('unterminated quoted CSV cell in the row on line ' + row_line);
+    }
+    if( cell !== '' || row.length > 0 ){
+	_end_row();
+    }
+
+    return rows;
+}
+
+// Split a multi-valued cell on unescaped separators.
+function _split_mv(val, mv_sep, mv_esc){
+    var ret = [];
+    var cur = '';
+    for( var i = 0; i < val.length; i++ ){
+	if( val.substr(i, mv_esc.length) === mv_esc &&
+	    i + mv_esc.length < val.length ){
+		i += mv_esc.length;
+		cur += val.charAt(i);
+	    }else if( val.substr(i, mv_sep.length) === mv_sep ){
+		ret.push(cur);
+		cur = '';
+		i += mv_sep.length - 1;
+	    }else{
+		cur += val.charAt(i);
+	    }
+    }
+    ret.push(cur);
+    return ret;
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'parse': parse
+
+};
@@ -0,0 +1,302 @@
+/*
+ * Package: solr_xml.js
+ *
+ * Namespace: bbop.golr.solr_xml
+ *
+ * A reader for Solr's XML response format (wt=xml), turning it into
+ * the same object that the JSON response format (wt=json) would have
+ * given, so that it can be handed to the response constructor (see
+ * response.from_xml()).
+ *
+ * Only as much XML as Solr writes is understood: elements,
+ * attributes, text, character references, CDATA, comments, and
+ * processing instructions. There is no DTD handling or namespacing.
+ */
+
+var us = require('underscore');
+
+// The named lists that come back as lists, not hashes, in JSON (as
+// json.nl=arrarr), by path; "*" matches any name.
+var named_list_paths = [
+    'facet_counts.facet_fields.*',
+    'facet_counts.facet_ranges.*.counts',
+    'facet_counts.facet_intervals.*',
+    'stats.stats_fields.*.percentiles',
+    'spellcheck.suggestions',
+    'spellcheck.collations'
+];
+
+// The numeric types.
+var int_types = ['int', 'long', 'short', 'byte'];
+var float_types = ['float', 'double'];
+
+/*
+ * Function: parse
+ *
+ * Parse a Solr XML response into the object the JSON response would
+ * be. Typed elements become the matching JSON types ("str" and
+ * "date" strings, "int", "long", "float", and "double" numbers,
+ * "bool" booleans, "null" null), "arr" lists, "lst" and "doc" hashes,
+ * and "result" the usual {numFound: ..., start: ..., docs: [...]}
+ * hash.
+ *
+ * Named lists that are lists in JSON (e.g. facet field counts) are
+ * given as [[k, v], ...], the json.nl=arrarr form, to keep their
+ * order.
+ *
+ * Arguments:
+ *  xml_str - the XML response string
+ *
+ * Returns:
+ *  hash; throws an Error if the string cannot be parsed
+ */
+function parse(xml_str){
+
+    if( typeof(xml_str) !== 'string' ){
+	throw new Error('can only parse strings');
+    }
+
+    var root = _parse_tree(xml_str);
+    if( root['name'] !== 'response' ){
+	throw new Error('not a Solr XML response: root element is "' +
+			root['name'] + '"');
+    }
+
+    var ret = {};
+    us.each(root['children'], function(child){
+	var name = child['attrs']['name'];
+	if( typeof(name) !== 'undefined' ){
+	    ret[name] = _value(child, [name]);
+	}
+    });
+    return ret;
+}
+
+// Whether the path is of a list-like named list.
+function _named_list_path_p(path){
+    return us.some(named_list_paths, function(pattern){
+	var steps = pattern.split('.');
+	if( steps.length !== path.length ){
+	    return false;
+	}
+	return us.every(steps, function(step, i){
+	    return step === '*' || step === path[i];
+	});
+    });
+}
+
+// The JSON value of an element; the path is of names from the top,
+// or null inside of lists.
+function _value(el, path){
+
+    var ret = null;
+    var type = el['name'];
+    var text = el['text'];
+
+    var _child_path = function(child){
+	var name = child['attrs']['name'];
+	return (path && typeof(name) !== 'undefined') ? path.concat([name]) : null;
+    };
+
+    if( type === 'str' || type === 'date' ){
+	ret = text;
+    }else if( us.contains(int_types, type) ){
+	ret = parseInt(text, 10);
+    }else if( us.contains(float_types, type) ){
+	ret = _float(text);
+    }else if( type === 'bool' ){
+	ret = (text.replace(/^\s+|\s+$/g, '') === 'true');
+    }else if( type === 'null' ){
+	ret = null;
+    }else if( type === 'arr' ){
+	ret = us.map(el['children'], function(child){
+	    return _value(child, null);
+	});
+    }else if( type === 'lst' || type === 'doc' ){
+	if( type === 'lst' && path && _named_list_path_p(path) ){
+	    ret = us.map(el['children'], function(child){
+		return [child['attrs']['name'] || null, _value(child, null)];
+	    });
+	}else{
+	    ret = {};
+	    us.each(el['children'], function(child){
+		var name = child['attrs']['name'];
+		ret[name] = _value(child, _child_path(child));
+	    });
+	}
+    }else if( type === 'result' ){
+	var attrs = el['attrs'];
+	ret = {
+	    'numFound': parseInt(attrs['numFound'], 10),
+	    'start': parseInt(attrs['start'], 10)
+	};
+	if( typeof(attrs['maxScore']) !== 'undefined' ){
+	    ret['maxScore'] = _float(attrs['maxScore']);
+	}
+	if( typeof(attrs['numFoundExact']) !== 'undefined' ){
+	    ret['numFoundExact'] = (attrs['numFoundExact'] === 'true');
+	}
+	ret['docs'] = us.map(el['children'], function(child){
+	    return _value(child, null);
+	});
+    }else{
+	throw new Error('unknown Solr XML element: "' + type + '"');
+    }
+
+    return ret;
+}
+
+// Solr writes some special floats by name.
+function _float(text){
+    var ret = null;
+    if( text === 'NaN' ){
+	ret = NaN;
+    }else if( text === 'Infinity' ){
+	ret = Infinity;
+    }else if( text === '-Infinity' ){
+	ret = -Infinity;
+    }else{
+	ret = parseFloat(text);
+    }
+    return ret;
+}
+
+// Parse the XML into a tree of {name, attrs, children, text}, and
+// return the root element.
+function _parse_tree(str){
+
+    var pos = 0;
+    var root = null;
+    var stack = [];
+
+    var _error = function(msg){
+	throw new Error('XML parse error at position ' + pos + ': ' + msg);
+    };
+
+    var _skip_past = function(end, what){
+	var epos = str.indexOf(end, pos);
+	if( epos === -1 ){
+	    _error('unterminated ' + what);
+	}
+	var skipped = str.substring(pos, epos);
+	pos = epos + end.length;
+	return skipped;
+    };
+
+    var _add_text = function(text){
+	if( stack.length > 0 ){
+	    stack[stack.length - 1]['text'] += text;
+	}else if( /\S/.test(text) ){
+	    _error('text outside of the root element');
+	}
+    };
+
+    var open_re = /^<([A-Za-z_][\w.\-:]*)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/;
+    var close_re = /^<\/([A-Za-z_][\w.\-:]*)\s*>/;
+    var attr_re = /([^\s=\/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    while( pos < str.length ){
+	var lt = str.indexOf('<', pos);
+	if( lt === -1 ){
+	    lt = str.length;
+	}
+	if( lt > pos ){
+	    _add_text(_decode(str.substring(pos, lt), pos, _error));
+	    pos = lt;
+	    continue;
+	}
+
+	if( str.substr(pos, 2) === '<?' ){
+	    _skip_past('?>', 'processing instruction');
+	}else if( str.substr(pos, 4) === '<!--' ){
+	    _skip_past('-->', 'comment');
+	}else if( str.substr(pos, 9) === '<![CDATA[' ){
+	    pos += 9;
+	    _add_text(_skip_past(']]>', 'CDATA section'));
+	}else if( str.substr(pos, 2) === '<!' ){
+	    _skip_past('>', 'declaration');
+	}else if( str.substr(pos, 2) === '</' ){
+	    var cmatch = close_re.exec(str.substring(pos));
+	    if( ! cmatch ){
+		_error('bad closing tag');
+	    }
+	    var open = stack.pop();
+	    if( ! open || open['name'] !== cmatch[1] ){
+		_error('unexpected closing tag "' + cmatch[1] + '"');
+	    }
+	    pos += cmatch[0].length;
+	}else{
+	    var omatch = open_re.exec(str.substring(pos));
+	    if( ! omatch ){
+		_error('bad tag');
+	    }
+	    if( root && stack.length === 0 ){
+		_error('more than one root element');
+	    }
+	    var el = {'name': omatch[1], 'attrs': {}, 'children': [], 'text': ''};
+	    var amatch = null;
+	    attr_re.lastIndex = 0;
+	    while( (amatch = attr_re.exec(omatch[2])) !== null ){
+		var aval = (typeof(amatch[2]) !== 'undefined') ? amatch[2] : amatch[3];
+		el['attrs'][amatch[1]] = _decode(aval, pos, _error);
+	    }
+	    if( stack.length > 0 ){
+		stack[stack.length - 1]['children'].push(el);
+	    }else{
+		root = el;
+	    }
+	    if( omatch[3] !== '/' ){
+		stack.push(el);
+	    }
+	    pos += omatch[0].length;
+	}
+    }
+
+    if( stack.length > 0 ){
+	_error('unclosed element "' + stack[stack.length - 1]['name'] + '"');
+    }
+    if( ! root ){
+	_error('no root element');
+    }
+
+    return root;
+}
+
+// The named entities of XML.
+var entities = {'lt': '<', 'gt': '>', 'amp': '&', 'quot': '"', 'apos': "'"};
+
+// Decode entity and character references.
+function _decode(text, pos, error){
+    return text.replace(/&(#x[0-9A-Fa-f]+|#[0-9]+|[A-Za-z]+);/g, function(m, ref){
+	var ret = null;
+	if( ref.charAt(0) === '#' ){
+	    var code = (ref.charAt(1) === 'x') ?
+		    parseInt(ref.substring(2), 16) : parseInt(ref.substring(1), 10);
+	    ret = _from_code_point(code);
+	}else if( us.has(entities, ref) ){
+	    ret = entities[ref];
+	}else{
+	    error('unknown entity "&' + ref + ';"');
+	}
+	return ret;
+    });
+}
+
+// String.fromCodePoint, for older engines.
+function _from_code_point(code){
+    if( code <= 0xFFFF ){
+	return String.fromCharCode(code);
+    }
+    code -= 0x10000;
+    return String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'parse': parse
+
+};
@@ -0,0 +1,121 @@
+////
+//// Unit testing for the response cache.
+////
+
+var us = require('underscore');
+
+// Test stuff
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+
+// Correct environment, ready testing.
+var bbop_response_golr = require('..');
+var cache = bbop_response_golr.cache;
+
+///
+/// Start unit testing.
+///
+
+// A small response for the parameters.
+function _response(params){
+    return new bbop_response_golr({
+	'responseHeader': {'status': 0, 'QTime': 1, 'params': params},
+	'response': {'numFound': 0, 'start': 0, 'docs': []}
+    });
+}
+
+describe('cache', function(){
+
+    var params = {
+	"q": "*:*",
+	"wt": "json",
+	"packet": "1",
+	"callback_type": "search",
+	"facet.field": ["source", "evidence_type"],
+	"fq": ["document_category:\"annotation\"", "-source:\"MGI\""]};
+
+    it('normalizes keys', function(){
+	var same = {
+	    "fq": ["-source:\"MGI\"", "document_category:\"annotation\""],
+	    "facet.field": ["evidence_type", "source"],
+	    "wt": "json",
+	    "packet": "7",
+	    "q": "*:*"};
+	assert.equal(cache.key(params), cache.key(same), 'same key');
+	assert.equal(cache.key({'fq': 'a:"b"'}), cache.key({'fq': ['a:"b"']}),
+		     'single value like a list of one');
+	assert.notEqual(cache.key(params), cache.key(us.extend({}, params, {'q': 'x'})),
+			'different q');
+	assert.equal(cache.key(_response(params)), cache.key(params),
+		     'from a response');
+    });
+
+    it('keeps hits and misses', function(){
+	var c = new cache();
+	var resp = _response(params);
+	assert.isNull(c.get(params), 'nothing yet');
+	c.set(resp);
+	assert.strictEqual(c.get(us.extend({}, params, {'packet': '2'})), resp, 'hit');
+	assert.isTrue(c.has(params), 'has');
+	var stats = c.stats();
+	assert.equal(stats['hits'], 1, 'one hit');
+	assert.equal(stats['misses'], 1, 'one miss');
+	assert.equal(stats['hit_rate'], 0.5, 'rate');
+	assert.equal(stats['size'], 1, 'size');
+    });
+
+    it('expires entries', function(){
+	var time = 1000;
+	var c = new cache({'ttl': 100, 'now': function(){ return time; }});
+	c.set(_response(params));
+	time = 1099;
+	assert.isNotNull(c.get(params), 'still good');
+	time = 1100;
+	assert.isFalse(c.has(params), 'expired');
+	assert.isNull(c.get(params), 'gone');
+	assert.equal(c.stats()['expirations'], 1, 'counted');
+	assert.equal(c.size(), 0, 'dropped');
+    });
+
+    it('evicts the least recently used', function(){
+	var c = new cache({'max_size': 2});
+	c.set(_response({'q': 'a'}));
+	c.set(_response({'q': 'b'}));
+	c.get({'q': 'a'});
+	c.set(_response({'q': 'c'}));
+	assert.isTrue(c.has({'q': 'a'}), 'used, kept');
+	assert.isFalse(c.has({'q': 'b'}), 'unused, evicted');
+	assert.isTrue(c.has({'q': 'c'}), 'new, kept');
+	assert.equal(c.stats()['evictions'], 1, 'counted');
+    });
+
+    it('invalidates by parameters, field, and filter', function(){
+	var c = new cache();
+	var other = {'q': '*:*', 'fq': ['taxon:"NCBITaxon:9606"']};
+	var facet_only = {'q': 'x', 'facet.field': 'source'};
+	c.set(_response(params));
+	c.set(_response(other));
+	c.set(_response(facet_only));
+
+	assert.equal(c.invalidate_filter('source', 'ZFIN'), 0, 'no such filter');
+	assert.equal(c.invalidate_filter('source', 'MGI'), 1, 'negative filter');
+	assert.isFalse(c.has(params), 'filtered entry gone');
+
+	c.set(_response(params));
+	assert.equal(c.invalidate_filter('-source:"MGI"'), 1, 'raw filter');
+
+	c.set(_response(params));
+	assert.equal(c.invalidate_field('source'), 2, 'filter and facet');
+	assert.isTrue(c.has(other), 'other kept');
+
+	assert.equal(c.invalidate(other), 1, 'by parameters');
+	assert.equal(c.size(), 0, 'empty');
+	assert.equal(c.stats()['invalidations'], 5, 'counted');
+
+	c.set(_response(other));
+	c.clear();
+	assert.equal(c.size(), 0, 'cleared');
+    });
+
+});
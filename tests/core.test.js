@@ -518,3 +518,1501 @@ describe('bbop-golr-response (other ops)', function(){
     });
 
 });
+
+describe('bbop-golr-response (pivot facets)', function(){
+
+    it('facet_pivot_list, facet_pivot, facet_pivot_table', function(){
+
+	var robj = {
+	    "responseHeader":{
+		"status":0,
+		"QTime":4,
+		"params":{
+		    "facet":"true",
+		    "json.nl":"arrarr",
+		    "wt":"json",
+		    "rows":"0",
+		    "start":"0",
+		    "q":"*:*",
+		    "facet.pivot":"taxon_label,evidence_type",
+		    "fq":"document_category:\"annotation\""}},
+	    "response":{"numFound":8,"start":0,"maxScore":1.0,"docs":[]},
+	    "facet_counts":{
+		"facet_queries":{},
+		"facet_fields":{},
+		"facet_dates":{},
+		"facet_ranges":{},
+		"facet_pivot":{
+		    "taxon_label,evidence_type":[
+			{"field":"taxon_label",
+			 "value":"Mus musculus",
+			 "count":6,
+			 "pivot":[
+			     {"field":"evidence_type","value":"IMP","count":5},
+			     {"field":"evidence_type","value":"IGI","count":1}]},
+			{"field":"taxon_label",
+			 "value":"Danio rerio",
+			 "count":2}]}}};
+
+	var bgr = new bbop_response_golr(robj);
+
+	// facet_pivot_list
+	assert.deepEqual(bgr.facet_pivot_list(),
+			 ['taxon_label,evidence_type'],
+			 'one pivot');
+
+	// facet_pivot
+	var tree = bgr.facet_pivot('taxon_label,evidence_type');
+	assert.equal(tree.length, 2, 'two top-level nodes');
+	assert.equal(tree[0].field, 'taxon_label', 'top field');
+	assert.equal(tree[0].value, 'Mus musculus', 'top value');
+	assert.equal(tree[0].count, 6, 'top count');
+	assert.equal(tree[0].children.length, 2, 'two children');
+	assert.equal(tree[0].children[0].value, 'IMP', 'child value');
+	assert.equal(tree[0].children[0].count, 5, 'child count');
+	assert.deepEqual(tree[0].children[0].children, [], 'leaf');
+	assert.deepEqual(tree[1].children, [], 'short leaf');
+	assert.deepEqual(bgr.facet_pivot(['taxon_label', 'evidence_type']),
+			 tree, 'list spec');
+	assert.deepEqual(bgr.facet_pivot('taxon_label, evidence_type'),
+			 tree, 'spaced spec');
+	assert.isNull(bgr.facet_pivot('source,evidence_type'), 'no pivot');
+
+	// facet_pivot_table
+	assert.deepEqual(bgr.facet_pivot_table('taxon_label,evidence_type'),
+			 [["Mus musculus", "IMP", 5],
+			  ["Mus musculus", "IGI", 1],
+			  ["Danio rerio", null, 2]],
+			 'flattened pivot');
+	assert.isNull(bgr.facet_pivot_table('foo'), 'no table');
+    });
+
+    it('no pivots at all', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{}},
+	    "response":{"numFound":0,"start":0,"maxScore":0.0,"docs":[]},
+	    "facet_counts":{"facet_fields":{}}});
+	assert.deepEqual(bgr.facet_pivot_list(), [], 'empty list');
+	assert.isNull(bgr.facet_pivot('a,b'), 'no pivot');
+    });
+
+});
+
+describe('bbop-golr-response (range, date, and query facets)', function(){
+
+    var robj = {
+	"responseHeader":{
+	    "status":0,
+	    "QTime":7,
+	    "params":{
+		"facet":"true",
+		"json.nl":"arrarr",
+		"wt":"json",
+		"rows":"0",
+		"start":"0",
+		"q":"*:*",
+		"facet.query":["date:[2010-01-01T00:00:00Z TO *]",
+			       "source:MGI"],
+		"facet.range":["date", "score_bin"],
+		"facet.range.start":"2009-01-01T00:00:00Z",
+		"facet.range.end":"2011-06-01T00:00:00Z",
+		"facet.range.gap":"+1YEAR",
+		"facet.range.other":"all",
+		"f.date.facet.range.hardend":"true",
+		"facet.date":"date",
+		"fq":"document_category:\"annotation\""}},
+	"response":{"numFound":20,"start":0,"maxScore":1.0,"docs":[]},
+	"facet_counts":{
+	    "facet_queries":{
+		"date:[2010-01-01T00:00:00Z TO *]":12,
+		"source:MGI":3},
+	    "facet_fields":{},
+	    "facet_dates":{
+		"date":{
+		    "2009-01-01T00:00:00Z":6,
+		    "2010-01-01T00:00:00Z":8,
+		    "gap":"+1YEAR",
+		    "start":"2009-01-01T00:00:00Z",
+		    "end":"2011-01-01T00:00:00Z"}},
+	    "facet_ranges":{
+		"date":{
+		    "counts":[
+			["2009-01-01T00:00:00Z",6],
+			["2010-01-01T00:00:00Z",8],
+			["2011-01-01T00:00:00Z",4]],
+		    "gap":"+1YEAR",
+		    "start":"2009-01-01T00:00:00Z",
+		    "end":"2011-06-01T00:00:00Z",
+		    "before":2,
+		    "after":0,
+		    "between":18},
+		"score_bin":{
+		    "counts":["0",5,"10",15],
+		    "gap":10,
+		    "start":0,
+		    "end":20}}}};
+
+    it('facet_query_counts, facet_query_count', function(){
+	var bgr = new bbop_response_golr(robj);
+	assert.deepEqual(bgr.facet_query_counts(),
+			 {"date:[2010-01-01T00:00:00Z TO *]": 12,
+			  "source:MGI": 3},
+			 'query map');
+	assert.equal(bgr.facet_query_count('source:MGI'), 3, 'one query');
+	assert.isNull(bgr.facet_query_count('source:ZFIN'), 'no query');
+    });
+
+    it('facet_range_list, facet_range', function(){
+	var bgr = new bbop_response_golr(robj);
+
+	assert.deepEqual(bgr.facet_range_list(), ['date', 'score_bin'],
+			 'range fields');
+	assert.isNull(bgr.facet_range('foo'), 'no range');
+
+	// Date ranges.
+	var dr = bgr.facet_range('date');
+	assert.equal(dr.gap, '+1YEAR', 'gap');
+	assert.instanceOf(dr.start, Date, 'date start');
+	assert.equal(dr.start.getUTCFullYear(), 2009, 'start year');
+	assert.equal(dr.before, 2, 'before');
+	assert.equal(dr.after, 0, 'after');
+	assert.equal(dr.between, 18, 'between');
+	assert.equal(dr.buckets.length, 3, 'three buckets');
+	assert.instanceOf(dr.buckets[0].start, Date, 'date bucket');
+	assert.equal(dr.buckets[0].start.toISOString(),
+		     '2009-01-01T00:00:00.000Z', 'bucket start');
+	assert.equal(dr.buckets[0].end.toISOString(),
+		     '2010-01-01T00:00:00.000Z', 'bucket end');
+	assert.equal(dr.buckets[0].count, 6, 'bucket count');
+	assert.equal(dr.buckets[2].end.toISOString(),
+		     '2011-06-01T00:00:00.000Z', 'hardend bucket end');
+
+	// Numeric ranges, flat list.
+	var nr = bgr.facet_range('score_bin');
+	assert.equal(nr.start, 0, 'numeric start');
+	assert.isNull(nr.before, 'no other');
+	assert.deepEqual(nr.buckets,
+			 [{start: 0, end: 10, count: 5},
+			  {start: 10, end: 20, count: 15}],
+			 'numeric buckets');
+    });
+
+    it('date gaps stay within the month', function(){
+	var _range = function(gap, counts, end){
+	    return new bbop_response_golr({
+		"responseHeader":{"status":0, "params":{"facet.range":"date"}},
+		"response":{"numFound":3,"start":0,"maxScore":1.0,"docs":[]},
+		"facet_counts":{"facet_fields":{}, "facet_ranges":{
+		    "date":{"counts":counts, "gap":gap, "start":counts[0][0],
+			    "end":end}}}}).facet_range('date');
+	};
+
+	var mr = _range('+1MONTH',
+			[["2010-01-31T00:00:00Z", 1], ["2010-02-28T00:00:00Z", 2]],
+			"2010-03-28T00:00:00Z");
+	assert.equal(mr.buckets[0].end.toISOString(),
+		     '2010-02-28T00:00:00.000Z', 'month end clamped');
+	assert.equal(mr.buckets[0].end.getTime(), mr.buckets[1].start.getTime(),
+		     'no overlap');
+
+	var yr = _range('+1YEAR',
+			[["2008-02-29T00:00:00Z", 1], ["2009-02-28T00:00:00Z", 2]],
+			"2010-02-28T00:00:00Z");
+	assert.equal(yr.buckets[0].end.toISOString(),
+		     '2009-02-28T00:00:00.000Z', 'leap day clamped');
+	assert.equal(yr.buckets[0].end.getTime(), yr.buckets[1].start.getTime(),
+		     'no overlap');
+    });
+
+    it('facet_date_list, facet_date', function(){
+	var bgr = new bbop_response_golr(robj);
+
+	assert.deepEqual(bgr.facet_date_list(), ['date'], 'date fields');
+	assert.isNull(bgr.facet_date('foo'), 'no date');
+
+	var df = bgr.facet_date('date');
+	assert.instanceOf(df.end, Date, 'date end');
+	assert.equal(df.buckets.length, 2, 'meta keys not buckets');
+	assert.equal(df.buckets[1].start.toISOString(),
+		     '2010-01-01T00:00:00.000Z', 'second bucket start');
+	assert.equal(df.buckets[1].end.toISOString(),
+		     '2011-01-01T00:00:00.000Z', 'second bucket end');
+	assert.equal(df.buckets[1].count, 8, 'second bucket count');
+    });
+
+});
+
+describe('bbop-golr-response (errors)', function(){
+
+    it('no error on a good response', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{"q":"*:*"}},
+	    "response":{"numFound":0,"start":0,"maxScore":0.0,"docs":[]},
+	    "facet_counts":{"facet_fields":{}}});
+	assert.isFalse(bgr.error_p(), 'not an error');
+	assert.isNull(bgr.error(), 'no error');
+	assert.isNull(bgr.error_message(), 'no message');
+	assert.isNull(bgr.error_type(), 'no type');
+    });
+
+    it('syntax error in a filter', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{
+		"status":400,
+		"QTime":1,
+		"params":{
+		    "q":"*:*",
+		    "callback_type":"search",
+		    "fq":["document_category:\"annotation\"",
+			  "source:(MGI OR ZFIN"]}},
+	    "error":{
+		"msg":"org.apache.solr.search.SyntaxError: Cannot parse 'source:(MGI OR ZFIN': Encountered \"<EOF>\" at line 1, column 19.",
+		"code":400}});
+
+	assert.isFalse(bgr.success(), 'not a success');
+	assert.isTrue(bgr.error_p(), 'an error');
+	assert.equal(bgr.error_code(), 400, 'code');
+	assert.equal(bgr.error_type(), 'syntax', 'syntax type');
+	var err = bgr.error();
+	assert.equal(err.status, 400, 'status');
+	assert.equal(err.parameter, 'fq', 'bad fq');
+	assert.equal(err.value, 'source:(MGI OR ZFIN', 'bad value');
+	assert.equal(err.line, 1, 'line');
+	assert.equal(err.column, 19, 'column');
+	assert.equal(err.near, 'MGI OR ZFIN', 'near');
+	assert.isFalse(err.trace_p, 'no trace');
+
+	// Header accessors still work.
+	assert.equal(bgr.callback_type(), 'search', 'callback still there');
+	assert.equal(bgr.query(), '*:*', 'query still there');
+
+	// And the result accessors have nothing, rather than failing.
+	assert.equal(bgr.total_documents(), 0, 'no total');
+	assert.isNull(bgr.start_document(), 'no start');
+	assert.isNull(bgr.end_document(), 'no end');
+	assert.deepEqual(bgr.documents(), [], 'no documents');
+	assert.isFalse(bgr.paging_p(), 'no paging');
+	assert.isFalse(bgr.paging_previous_p(), 'no previous');
+	assert.isFalse(bgr.paging_next_p(), 'no next');
+	assert.isNull(bgr.get_doc(0), 'no doc by position');
+	assert.isNull(bgr.get_doc('MGI:1'), 'no doc by id');
+	assert.deepEqual(bgr.highlighted_documents(), [], 'no highlights');
+    });
+
+    it('undefined field', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{
+		"status":400,
+		"params":{"q":"*:*", "sort":"foo_bar desc"}},
+	    "error":{"msg":"undefined field foo_bar", "code":400}});
+	var err = bgr.error();
+	assert.equal(err.type, 'undefined_field', 'type');
+	assert.equal(err.field, 'foo_bar', 'field');
+	assert.equal(err.parameter, 'sort', 'param');
+	assert.equal(err.value, 'foo_bar desc', 'value');
+    });
+
+    it('server fault and timeout, without params', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{"status":500, "QTime":3},
+	    "error":{
+		"trace":"java.lang.NullPointerException\n\tat org.apache.solr.Foo(Foo.java:1)\n",
+		"code":500}});
+	assert.equal(bgr.error_type(), 'server', 'server');
+	assert.equal(bgr.error_message(), 'java.lang.NullPointerException',
+		     'message from trace');
+	assert.isTrue(bgr.error().trace_p, 'has trace');
+	assert.isNull(bgr.callback_type(), 'no callback type');
+	assert.deepEqual(bgr.parameters(), {}, 'no params');
+	assert.isNull(bgr.packet(), 'no packet');
+
+	var tbgr = new bbop_response_golr({
+	    "responseHeader":{"status":504},
+	    "error":{"msg":"Gateway timed out", "code":504}});
+	assert.equal(tbgr.error_type(), 'timeout', 'timeout');
+    });
+
+});
+
+describe('bbop-golr-response (validation profiles)', function(){
+
+    // A plain select: no facets, no score, and echoParams=none.
+    var plain = {
+	"responseHeader":{"status":0, "QTime":2},
+	"response":{"numFound":1,"start":0,"docs":[{"id":"GO:0022008"}]}};
+
+    it('strict by default, with diagnostics', function(){
+	var bgr = new bbop_response_golr(plain);
+	assert.isFalse(bgr.success(), 'not a full golr response');
+	assert.isFalse(bgr.okay(), 'not okay either');
+
+	var report = bgr.diagnose();
+	assert.isFalse(report.okay, 'report agrees');
+	assert.equal(report.profile, 'golr', 'default profile');
+	assert.deepEqual(us.pluck(report.problems, 'check'),
+			 ['params', 'max_score', 'facet_counts',
+			  'facet_fields'],
+			 'everything that is missing');
+	assert.equal(report.problems[1].path, 'response.maxScore', 'path');
+	assert.equal(report.problems[1].message, 'missing', 'message');
+    });
+
+    it('named and custom profiles', function(){
+	var bgr = new bbop_response_golr(plain);
+	assert.isTrue(bgr.success('select'), 'fine as a plain select');
+	assert.isFalse(bgr.success('no_facet'), 'still no params or score');
+	assert.isFalse(bgr.success('no_score'), 'still no params or facets');
+	assert.isTrue(bgr.success(['response', 'docs']), 'custom');
+	assert.equal(bgr.diagnose(['docs']).profile, 'custom', 'custom name');
+
+	// Set for the response.
+	bgr.validation_profile('select');
+	assert.equal(bgr.validation_profile(), 'select', 'profile set');
+	assert.isTrue(bgr.success(), 'now fine');
+	assert.isTrue(bgr.okay(), 'and okay');
+
+	assert.throws(function(){ bgr.success('foo'); }, /foo/);
+	assert.throws(function(){ bgr.diagnose(['foo']); }, /foo/);
+	assert.throws(function(){ bgr.validation_profile('foo'); }, /foo/);
+    });
+
+    it('malformed and broken responses', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{}},
+	    "response":{"numFound":"lots","start":0,"docs":{}}});
+	var probs = bgr.diagnose('select').problems;
+	assert.deepEqual(us.pluck(probs, 'check'), ['num_found', 'docs'],
+			 'malformed bits');
+	assert.equal(probs[1].message, 'malformed: expected list', 'why');
+
+	var ebgr = new bbop_response_golr({
+	    "responseHeader":{"status":400},
+	    "error":{"msg":"undefined field foo", "code":400}});
+	assert.equal(ebgr.diagnose('select').problems[0].message,
+		     'non-zero status: 400 (undefined field foo)',
+		     'error status');
+
+	var nbgr = new bbop_response_golr('{not json');
+	assert.equal(nbgr.diagnose().problems[0].check, 'parse', 'unparsable');
+	assert.isFalse(nbgr.success('select'), 'unparsable fails');
+    });
+
+});
+
+describe('bbop-golr-response (cursor paging)', function(){
+
+    var _cursor_response = function(cmark, nmark, ndocs){
+	var docs = [];
+	for( var i = 0; i < ndocs; i++ ){ docs.push({"id": "doc" + i}); }
+	return new bbop_response_golr({
+	    "responseHeader":{
+		"status":0,
+		"params":{
+		    "q":"*:*",
+		    "rows":"3",
+		    "start":"0",
+		    "sort":"id asc",
+		    "fq":["document_category:\"annotation\""],
+		    "cursorMark":cmark}},
+	    "response":{"numFound":7,"start":0,"docs":docs},
+	    "nextCursorMark":nmark});
+    };
+
+    it('first and middle pages', function(){
+	var bgr = _cursor_response('*', 'AoE/abc', 3);
+	assert.isTrue(bgr.cursor_paging_p(), 'cursor paging');
+	assert.equal(bgr.cursor_mark(), '*', 'first cursor');
+	assert.equal(bgr.next_cursor_mark(), 'AoE/abc', 'next cursor');
+	assert.isFalse(bgr.cursor_end_p(), 'not the end');
+	assert.isTrue(bgr.paging_next_p(), 'can page on');
+
+	var nparams = bgr.next_cursor_parameters();
+	assert.equal(nparams['cursorMark'], 'AoE/abc', 'cursor moved on');
+	assert.equal(nparams['start'], '0', 'start stays put');
+	assert.equal(nparams['sort'], 'id asc', 'rest the same');
+	nparams['fq'].push('foo:bar');
+	assert.equal(bgr.parameters()['cursorMark'], '*', 'a copy');
+	assert.equal(bgr.parameters()['fq'].length, 1, 'a deep copy');
+    });
+
+    it('end of results', function(){
+	var same = _cursor_response('AoE/xyz', 'AoE/xyz', 0);
+	assert.isTrue(same.cursor_end_p(), 'same cursor is the end');
+	assert.isFalse(same.paging_next_p(), 'no paging on');
+	assert.isNull(same.next_cursor_parameters(), 'no next params');
+
+	var short = _cursor_response('AoE/abc', 'AoE/xyz', 1);
+	assert.isTrue(short.cursor_end_p(), 'short page is the end');
+    });
+
+    it('not cursor paging', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{"rows":"2"}},
+	    "response":{"numFound":7,"start":0,"docs":[{}, {}]}});
+	assert.isFalse(bgr.cursor_paging_p(), 'no cursor');
+	assert.isNull(bgr.cursor_mark(), 'no cursor mark');
+	assert.isNull(bgr.next_cursor_mark(), 'no next mark');
+	assert.isNull(bgr.next_cursor_parameters(), 'no next params');
+	assert.isTrue(bgr.paging_next_p(), 'offset paging as usual');
+    });
+
+});
+
+describe('bbop-golr-response (grouping)', function(){
+
+    var robj = {
+	"responseHeader":{
+	    "status":0,
+	    "params":{
+		"q":"*:*",
+		"rows":"2",
+		"start":"0",
+		"fl":"*,score",
+		"group":"true",
+		"group.field":"bioentity",
+		"group.ngroups":"true",
+		"group.query":"evidence_type:IMP"}},
+	"grouped":{
+	    "bioentity":{
+		"matches":5,
+		"ngroups":3,
+		"groups":[
+		    {"groupValue":"PomBase:SPCC548.04",
+		     "doclist":{"numFound":2,"start":0,"maxScore":1.0,"docs":[
+			 {"id":"a1", "bioentity":"PomBase:SPCC548.04"}]}},
+		    {"groupValue":"PomBase:SPAC1783.06c",
+		     "doclist":{"numFound":1,"start":0,"maxScore":1.0,"docs":[
+			 {"id":"a2", "bioentity":"PomBase:SPAC1783.06c"}]}}]},
+	    "evidence_type:IMP":{
+		"matches":5,
+		"doclist":{"numFound":1,"start":0,"maxScore":1.0,"docs":[
+		    {"id":"a3", "evidence_type":"IMP"}]}}},
+	"facet_counts":{"facet_fields":{}}};
+
+    it('success and documents', function(){
+	var bgr = new bbop_response_golr(robj);
+	assert.isTrue(bgr.grouped_p(), 'grouped');
+	assert.isTrue(bgr.success(), 'grouped success');
+	assert.equal(bgr.diagnose().problems.length, 0, 'no problems');
+	assert.deepEqual(us.pluck(bgr.documents(), 'id'), ['a1', 'a2', 'a3'],
+			 'all grouped docs');
+	assert.equal(bgr.get_doc('a2')['bioentity'], 'PomBase:SPAC1783.06c',
+		     'get_doc by id');
+	assert.equal(bgr.get_doc(2)['id'], 'a3', 'get_doc by position');
+	assert.equal(bgr.total_documents(), 5, 'matches');
+    });
+
+    it('group accessors', function(){
+	var bgr = new bbop_response_golr(robj);
+	assert.deepEqual(bgr.group_list(), ['bioentity', 'evidence_type:IMP'],
+			 'group list');
+
+	var fgroup = bgr.group('bioentity');
+	assert.equal(fgroup.type, 'field', 'field grouping');
+	assert.equal(fgroup.format, 'grouped', 'grouped format');
+	assert.equal(fgroup.matches, 5, 'matches');
+	assert.equal(fgroup.ngroups, 3, 'ngroups');
+	assert.equal(fgroup.groups[0].total, 2, 'group doc total');
+	assert.deepEqual(bgr.group_values('bioentity'),
+			 ['PomBase:SPCC548.04', 'PomBase:SPAC1783.06c'],
+			 'group values');
+	assert.equal(bgr.group_documents('bioentity',
+					 'PomBase:SPAC1783.06c')[0]['id'],
+		     'a2', 'group docs');
+	assert.isNull(bgr.group_documents('bioentity', 'foo'), 'no group');
+
+	var qgroup = bgr.group('evidence_type:IMP');
+	assert.equal(qgroup.type, 'query', 'query grouping');
+	assert.isNull(qgroup.ngroups, 'no ngroups');
+	assert.equal(bgr.group_documents('evidence_type:IMP')[0]['id'], 'a3',
+		     'query group docs');
+
+	assert.isNull(bgr.group('foo'), 'no grouping');
+	assert.equal(bgr.total_groups(), 3, 'total groups');
+    });
+
+    it('paging over groups', function(){
+	var bgr = new bbop_response_golr(robj);
+	assert.equal(bgr.start_document(), 1, 'first group');
+	assert.equal(bgr.end_document(), 2, 'second group');
+	assert.isTrue(bgr.paging_p(), 'paging');
+	assert.isFalse(bgr.paging_previous_p(), 'no back');
+	assert.isTrue(bgr.paging_next_p(), 'three groups, two shown');
+
+	var sbgr = new bbop_response_golr({
+	    "responseHeader":{"status":0,
+			      "params":{"rows":"2", "start":"2",
+					"group.format":"simple"}},
+	    "grouped":{"bioentity":{"matches":3,"doclist":{
+		"numFound":3,"start":2,"docs":[{"id":"a3"}]}}}});
+	assert.equal(sbgr.group('bioentity').format, 'simple', 'simple');
+	assert.equal(sbgr.start_document(), 3, 'simple start');
+	assert.equal(sbgr.end_document(), 3, 'simple end');
+	assert.isTrue(sbgr.paging_previous_p(), 'back');
+	assert.isFalse(sbgr.paging_next_p(), 'no forward');
+	assert.isTrue(sbgr.success('select'), 'plain select of groups');
+    });
+
+    it('not grouped', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{}},
+	    "response":{"numFound":0,"start":0,"docs":[]}});
+	assert.isFalse(bgr.grouped_p(), 'not grouped');
+	assert.deepEqual(bgr.group_list(), [], 'no groupings');
+	assert.isNull(bgr.total_groups(), 'no groups');
+    });
+
+});
+
+describe('bbop-golr-response (stats)', function(){
+
+    var robj = {
+	"responseHeader":{
+	    "status":0,
+	    "params":{
+		"q":"*:*",
+		"rows":"0",
+		"stats":"true",
+		"stats.field":["score", "date"],
+		"stats.facet":"source",
+		"json.nl":"arrarr"}},
+	"response":{"numFound":12,"start":0,"maxScore":1.0,"docs":[]},
+	"stats":{
+	    "stats_fields":{
+		"score":{
+		    "min":0.25,
+		    "max":1.0,
+		    "count":10,
+		    "missing":2,
+		    "sum":5.5,
+		    "sumOfSquares":3.5,
+		    "mean":0.55,
+		    "stddev":0.2,
+		    "percentiles":[["50.0",0.5],["99.0",1.0]],
+		    "facets":{
+			"source":{
+			    "MGI":{"min":0.25,"max":0.5,"count":4,
+				   "missing":0,"sum":1.5,"mean":0.375,
+				   "stddev":0.1},
+			    "ZFIN":{"min":0.5,"max":1.0,"count":6,
+				    "missing":2,"sum":4.0,"mean":0.66,
+				    "stddev":0.2}}}},
+		"date":{
+		    "min":"2005-11-07T00:00:00Z",
+		    "max":"2013-01-01T00:00:00Z",
+		    "count":12,
+		    "missing":0,
+		    "mean":"2009-06-01T00:00:00Z"}}}};
+
+    it('stats_field_list, stats_field, stats_facet', function(){
+	var bgr = new bbop_response_golr(robj);
+
+	assert.deepEqual(bgr.stats_field_list(), ['date', 'score'],
+			 'stats fields');
+	assert.isNull(bgr.stats_field('foo'), 'no stats');
+
+	var sstats = bgr.stats_field('score');
+	assert.equal(sstats.min, 0.25, 'min');
+	assert.equal(sstats.max, 1.0, 'max');
+	assert.equal(sstats.count, 10, 'count');
+	assert.equal(sstats.missing, 2, 'missing');
+	assert.equal(sstats.mean, 0.55, 'mean');
+	assert.equal(sstats.stddev, 0.2, 'stddev');
+	assert.equal(sstats.sum_of_squares, 3.5, 'sum of squares');
+	assert.isNull(sstats.count_distinct, 'not asked for');
+	assert.deepEqual(sstats.percentiles, {50: 0.5, 99: 1.0},
+			 'percentiles');
+
+	var fstats = bgr.stats_facet('score', 'source');
+	assert.deepEqual(us.keys(fstats), ['MGI', 'ZFIN'], 'facet values');
+	assert.equal(fstats['ZFIN'].missing, 2, 'faceted missing');
+	assert.isNull(fstats['ZFIN'].facets, 'no nested facets');
+	assert.isNull(bgr.stats_facet('score', 'foo'), 'no such facet');
+
+	var dstats = bgr.stats_field('date');
+	assert.instanceOf(dstats.min, Date, 'date min');
+	assert.equal(dstats.max.getUTCFullYear(), 2013, 'date max');
+	assert.instanceOf(dstats.mean, Date, 'date mean');
+	assert.isNull(dstats.stddev, 'no date stddev');
+	assert.isNull(dstats.percentiles, 'no percentiles');
+    });
+
+});
+
+describe('bbop-golr-response (parsed filters)', function(){
+
+    it('parsed_query_filters and the query_filters summary', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{
+		"status":0,
+		"params":{
+		    "q":"*:*",
+		    "fq":["{!tag=src}source:\"MGI\"",
+			  "taxon:(A OR B)",
+			  "date:[2010 TO *]",
+			  "-(a:b AND c:d)",
+			  "isa_partof_closure:GO\\:0022008",
+			  "-evidence_type:ISO",
+			  "broken:(\"foo",
+			  "a:1 OR b:2"]}},
+	    "response":{"numFound":0,"start":0,"docs":[]}});
+
+	var parsed = bgr.parsed_query_filters();
+	assert.equal(parsed.length, 8, 'all parsed');
+	assert.deepEqual(parsed[0].local_params, {tag: 'src'}, 'local params');
+	assert.equal(parsed[1].query.type, 'group', 'group');
+	assert.equal(parsed[3].query.type, 'not', 'negation');
+	assert.isNull(parsed[6].query, 'unparsable');
+	assert.match(parsed[6].error, /unterminated/, 'error message');
+
+	var qf = bgr.query_filters();
+	assert.isTrue(qf['source']['MGI'], 'tagged filter');
+	assert.isTrue(qf['date']['[2010 TO *]'], 'range filter');
+	assert.isTrue(qf['isa_partof_closure']['GO:0022008'], 'escaped');
+	assert.isFalse(qf['evidence_type']['ISO'], 'negative');
+	// Compound filters are left out, but can be had on their own.
+	assert.deepEqual(us.keys(qf).sort(),
+			 ['broken', 'date', 'evidence_type',
+			  'isa_partof_closure', 'source'],
+			 'only simple (or unparsable) filters');
+	assert.deepEqual(bgr.compound_query_filters(),
+			 ['taxon:(A OR B)', '-(a:b AND c:d)', 'a:1 OR b:2'],
+			 'compound filters');
+	assert.isTrue(qf['broken']['(\"foo'], 'naive fallback');
+    });
+
+});
+
+describe('bbop-golr-response (merging)', function(){
+
+    var _page = function(start, ids, extra){
+	var docs = us.map(ids, function(id){
+	    return {"id": id, "bioentity": id, "bioentity_label": id + "_lbl"};
+	});
+	var hl = {};
+	us.each(ids, function(id){
+	    hl[id] = {"bioentity_label": ["<em>" + id + "</em>_lbl"]};
+	});
+	var params = {
+	    "q":"*:*",
+	    "rows":"2",
+	    "start":"" + start,
+	    "packet":"" + (start + 1),
+	    "fq":["document_category:\"annotation\""]};
+	us.extend(params, extra || {});
+	return new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":params},
+	    "response":{"numFound":7,"start":start,"maxScore":start + 1,
+			"docs":docs},
+	    "facet_counts":{"facet_fields":{}},
+	    "highlighting":hl});
+    };
+
+    it('merges in order, with reporting', function(){
+	var merged = bbop_response_golr.merge([_page(4, ['e', 'f']),
+					       _page(0, ['a', 'b']),
+					       _page(1, ['b', 'c'])]);
+
+	assert.deepEqual(us.pluck(merged.documents(), 'id'),
+			 ['a', 'b', 'c', 'e', 'f'], 'ordered and deduped');
+	assert.equal(merged.total_documents(), 7, 'total');
+	assert.equal(merged.start_document(), 1, 'start');
+	assert.equal(merged.row_step(), 6, 'rows cover the span');
+	assert.isTrue(merged.success(), 'a good response');
+	assert.equal(merged.get_doc('e')['id'], 'e', 'get_doc');
+	assert.equal(merged.get_doc_label('f', 'bioentity'), 'f_lbl',
+		     'get_doc_label');
+	assert.equal(merged.get_doc_highlight('f', 'bioentity', 'f_lbl'),
+		     '<em>f</em>_lbl', 'highlighting merged');
+	assert.equal(merged.raw().response.maxScore, 5, 'max score');
+
+	var report = merged.merge_report();
+	assert.equal(report.responses, 3, 'three responses');
+	assert.equal(report.start, 1, 'report start');
+	assert.equal(report.end, 6, 'report end');
+	assert.deepEqual(report.gaps, [[4, 4]], 'gap');
+	assert.deepEqual(report.overlaps, [[2, 2]], 'overlap');
+	assert.equal(report.duplicates, 1, 'duplicate');
+	assert.isFalse(report.total_mismatch_p, 'same total');
+    });
+
+    it('will not merge different queries', function(){
+	assert.throws(function(){
+	    bbop_response_golr.merge([_page(0, ['a']),
+				      _page(2, ['c'], {"q":"tag*"})]);
+	}, /"q" differs/);
+	assert.throws(function(){
+	    bbop_response_golr.merge([]);
+	}, /nothing/);
+	assert.isNull(_page(0, ['a']).merge_report(), 'not merged');
+    });
+
+});
+
+describe('bbop-golr-response (facet comparison)', function(){
+
+    var _resp = function(total, sources, extra_fields){
+	var ffields = {"source": sources};
+	us.extend(ffields, extra_fields || {});
+	return new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{"json.nl":"arrarr"}},
+	    "response":{"numFound":total,"start":0,"maxScore":1.0,"docs":[]},
+	    "facet_counts":{"facet_fields":ffields}});
+    };
+
+    it('appeared, disappeared, and deltas', function(){
+	var before = _resp(10, [["MGI", 5], ["UniProtKB", 4], ["PomBase", 1]]);
+	var after = _resp(20, [["UniProtKB", 14], ["ZFIN", 2], ["PomBase", 1]],
+			  {"taxon_label": [["Mus musculus", 3]]});
+
+	var comp = before.facet_comparison(after);
+	assert.deepEqual(us.keys(comp), ['source', 'taxon_label'],
+			 'fields from both');
+
+	var src = comp['source'];
+	assert.deepEqual(src.appeared, ['ZFIN'], 'appeared');
+	assert.deepEqual(src.disappeared, ['MGI'], 'disappeared');
+	assert.deepEqual(us.pluck(src.changes, 'item'),
+			 ['UniProtKB', 'MGI', 'ZFIN', 'PomBase'],
+			 'largest change first');
+	assert.deepEqual(src.changes[0],
+			 {item: 'UniProtKB', before: 4, after: 14, delta: 10,
+			  before_fraction: 0.4, after_fraction: 0.7,
+			  fraction_delta: 0.7 - 0.4},
+			 'full change');
+	assert.equal(src.changes[3].delta, 0, 'unchanged count');
+	assert.closeTo(src.changes[3].fraction_delta, -0.05, 0.0001,
+		       'but relatively smaller');
+
+	assert.deepEqual(comp['taxon_label'].appeared, ['Mus musculus'],
+			 'new field');
+
+	var rel = before.facet_comparison(after, 'fraction_delta');
+	assert.deepEqual(us.pluck(rel['source'].changes, 'item'),
+			 ['MGI', 'UniProtKB', 'ZFIN', 'PomBase'],
+			 'largest relative change first');
+    });
+
+});
+
+describe('bbop-golr-response (label index)', function(){
+
+    var docs = [
+	{"id": "a1",
+	 "bioentity": "MGI:MGI:1", "bioentity_label": "Foo1",
+	 "annotation_class": "GO:0022008",
+	 "annotation_class_label": "neurogenesis",
+	 "isa_partof_closure": ["GO:0022008", "GO:0008150"],
+	 "isa_partof_closure_label": ["neurogenesis", "biological_process"],
+	 "evidence_with": ["UniProtKB:P1", "UniProtKB:P2"],
+	 "evidence_with_label": ["P1 thing"]},
+	{"id": "a2",
+	 "bioentity": "MGI:MGI:2", "bioentity_label": "Foo2",
+	 "annotation_class": "GO:0003674",
+	 "annotation_class_label": "mf",
+	 "regulates_closure": ["GO:0003674", "GO:0005488"],
+	 "regulates_closure_map": '{"GO:0003674":"molecular_function","GO:0005488":"binding"}',
+	 "isa_partof_closure_map": '{not json'}
+    ];
+
+    var bgr = new bbop_response_golr({
+	"responseHeader":{"status":0, "params":{}},
+	"response":{"numFound":2,"start":0,"maxScore":1.0,"docs":docs}});
+
+    it('label_index, resolve_label', function(){
+	var idx = bgr.label_index();
+	assert.equal(idx['GO:0022008'], 'neurogenesis', 'single pair');
+	assert.isUndefined(idx['GO:0008150'], 'longer lists are not paired');
+	assert.equal(bgr.resolve_label('GO:0008150'),
+		     bgr.get_doc_label('a1', 'isa_partof_closure', 'GO:0008150'),
+		     'agrees with get_doc_label');
+	assert.equal(idx['GO:0005488'], 'binding', 'from a map');
+	assert.equal(bgr.resolve_label('MGI:MGI:2'), 'Foo2', 'second doc');
+	assert.equal(bgr.resolve_label('GO:0003674'), 'molecular_function',
+		     'maps win');
+	assert.isNull(bgr.resolve_label('UniProtKB:P1'),
+		      'uneven lists are not guessed at');
+	assert.isNull(bgr.resolve_label('GO:1234567'), 'not there');
+	assert.strictEqual(bgr.label_index(), idx, 'built only once');
+    });
+
+    it('label_index_stats', function(){
+	var stats = bgr.label_index_stats();
+	assert.equal(stats.documents, 2, 'docs');
+	assert.equal(stats.labels, 5, 'labels');
+	assert.deepEqual(stats.unresolved,
+			 ['GO:0008150', 'UniProtKB:P1', 'UniProtKB:P2'],
+			 'unresolved');
+	assert.deepEqual(stats.conflicts,
+			 [{id: 'GO:0003674', labels: ['molecular_function', 'mf']}],
+			 'conflicts');
+	assert.equal(stats.bad_maps, 1, 'bad maps');
+    });
+
+    it('maps label the field they were made for', function(){
+	var mbgr = new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{}},
+	    "response":{"numFound":1,"start":0,"maxScore":1.0,"docs":[
+		{"id": "a1",
+		 "isa_partof": ["GO:0000002"],
+		 "isa_partof_closure": ["GO:0000001"],
+		 "isa_partof_closure_map": '{"GO:0000001":"one"}'}]}});
+	var stats = mbgr.label_index_stats();
+	assert.equal(stats.labels, 1, 'labels');
+	assert.deepEqual(stats.unresolved, [], 'isa_partof not counted');
+    });
+
+});
+
+describe('bbop-golr-response (multi-valued highlights)', function(){
+
+    var bgr = new bbop_response_golr({
+	"responseHeader":{"status":0, "params":{}},
+	"response":{"numFound":2,"start":0,"maxScore":1.0,"docs":[
+	    {"id": "GO:0022008",
+	     "annotation_class": "GO:0022008",
+	     "annotation_class_label": "neurogenesis",
+	     "synonym": ["nerve tissue genesis", "neural cell formation",
+			 "formation of nervous tissue"],
+	     "isa_partof_closure": ["GO:0022008", "GO:0048699",
+				    "GO:0030182"],
+	     "isa_partof_closure_label": ["neurogenesis",
+					  "generation of neurons",
+					  "neuron differentiation"]},
+	    {"id": "GO:0000001",
+	     "annotation_class": "GO:0000001",
+	     "annotation_class_label": "mitochondrion inheritance"}]},
+	"highlighting":{
+	    "GO:0022008":{
+		"synonym":["<em>nerve</em> tissue genesis",
+			   "formation of <em>nervous</em> tissue"],
+		"isa_partof_closure_label_searchable":[
+		    "generation of <em>neurons</em>",
+		    "<em>neuron</em> differentiation"],
+		"isa_partof_closure_label":[
+		    "generation of <em>neurons</em>"],
+		"annotation_class_label_searchable":["<em>neuro</em>genesis"]},
+	    "GO:0000001":{}}});
+
+    it('get_doc_highlights', function(){
+	var syns = bgr.get_doc_highlights(0, 'synonym');
+	assert.deepEqual(us.pluck(syns, 'value'),
+			 ['nerve tissue genesis', 'formation of nervous tissue'],
+			 'every synonym');
+	assert.equal(syns[1].highlight, 'formation of <em>nervous</em> tissue',
+		     'with its fragment');
+
+	var closure = bgr.get_doc_highlights('GO:0022008', 'isa_partof_closure');
+	assert.deepEqual(closure,
+			 [{field: 'isa_partof_closure_label_searchable',
+			   highlight: 'generation of <em>neurons</em>',
+			   text: 'generation of neurons',
+			   value: 'generation of neurons',
+			   item: 'GO:0048699'},
+			  {field: 'isa_partof_closure_label_searchable',
+			   highlight: '<em>neuron</em> differentiation',
+			   text: 'neuron differentiation',
+			   value: 'neuron differentiation',
+			   item: 'GO:0030182'}],
+			 'labels back to ids, without repeats');
+
+	var ac = bgr.get_doc_highlights(0, 'annotation_class');
+	assert.equal(ac[0].item, 'GO:0022008', 'single pair');
+
+	assert.deepEqual(bgr.get_doc_highlights(0, 'source'), [], 'no field');
+	assert.deepEqual(bgr.get_doc_highlights(1, 'synonym'), [], 'no hits');
+	assert.deepEqual(bgr.get_doc_highlights(5, 'synonym'), [], 'no doc');
+    });
+
+    it('highlighted_fields', function(){
+	assert.deepEqual(bgr.highlighted_fields(0),
+			 ['synonym', 'isa_partof_closure', 'annotation_class'],
+			 'base fields');
+	assert.deepEqual(bgr.highlighted_fields('GO:0000001'), [], 'none');
+    });
+
+});
+
+describe('bbop-golr-response (highlighted documents)', function(){
+
+    var _resp = function(hl){
+	var robj = {
+	    "responseHeader":{"status":0, "params":{}},
+	    "response":{"numFound":3,"start":0,"maxScore":1.0,"docs":[
+		{"acc": "a", "bioentity": "MGI:1", "bioentity_label": "Foo1",
+		 "synonym": ["f1", "foo one"]},
+		{"acc": "b", "bioentity": "MGI:2", "bioentity_label": "Foo2",
+		 "synonym": ["f2"]},
+		{"acc": "c", "bioentity": "MGI:3", "bioentity_label": "Bar3",
+		 "synonym": []}]}};
+	if( hl ){
+	    robj['highlighting'] = hl;
+	}
+	return new bbop_response_golr(robj);
+    };
+
+    it('joins on the unique key, folding variants', function(){
+	// Out of order and missing an entry.
+	var bgr = _resp({
+	    "c":{"bioentity_label_searchable":["<em>Bar</em>3"]},
+	    "a":{"bioentity_label_searchable":["<em>Foo</em>1"],
+		 "bioentity_label":["<em>Foo1</em>"],
+		 "synonym_searchable":["<em>foo</em> one"]}});
+
+	var hdocs = bgr.highlighted_documents({unique_key: 'acc', fold: true});
+	assert.equal(hdocs.length, 3, 'all docs');
+	assert.equal(hdocs[0]['bioentity_label'], '<em>Foo1</em>',
+		     'own highlighting first, still single');
+	assert.deepEqual(hdocs[0]['synonym'], ['f1', '<em>foo</em> one'],
+			 'searchable folded, unmatched values kept');
+	assert.deepEqual(hdocs[1], bgr.get_doc(1), 'unhighlighted doc');
+	assert.equal(hdocs[2]['bioentity_label'], '<em>Bar</em>3',
+		     'label searchable folded');
+	assert.equal(bgr.get_doc(2)['bioentity_label'], 'Bar3',
+		     'original untouched');
+
+	var nofold = bgr.highlighted_documents({unique_key: 'acc'});
+	assert.equal(nofold[2]['bioentity_label'], 'Bar3', 'no folding by default');
+	assert.deepEqual(nofold[0]['synonym'], ['f1', 'foo one'],
+			 'no folding by default');
+	assert.equal(nofold[0]['bioentity_label'], '<em>Foo1</em>',
+		     'own highlighting still');
+
+	var wrong_key = bgr.highlighted_documents();
+	assert.equal(wrong_key[0]['bioentity_label'], 'Foo1',
+		     'no "id" to join on');
+    });
+
+    it('partial fragments', function(){
+	var bgr = _resp({
+	    "a":{"synonym":["<em>foo</em>"]}});
+	var hdocs = bgr.highlighted_documents({unique_key: 'acc'});
+	assert.deepEqual(hdocs[0]['synonym'], ['f1', '<em>foo</em> one'],
+			 'only the matched part');
+    });
+
+    it('hl off', function(){
+	var bgr = _resp();
+	assert.deepEqual(bgr.highlighted_documents(), bgr.documents(),
+			 'just the documents');
+    });
+
+});
+
+describe('bbop-golr-response (highlight segments)', function(){
+
+    var _resp = function(params){
+	return new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":params},
+	    "response":{"numFound":1,"start":0,"maxScore":1.0,"docs":[
+		{"id": "CHEBI:1", "label": "<b>-alanine", "label_searchable": "<b>-alanine"}]},
+	    "highlighting":{
+		"CHEBI:1":{"label_searchable":["[[<b>]]-alanine"]}}});
+    };
+
+    it('markers from the parameters', function(){
+	assert.deepEqual(_resp({}).highlight_markers(),
+			 {pre: '<em>', post: '</em>'}, 'Solr default');
+
+	var bgr = _resp({"hl.simple.pre": "[[", "hl.simple.post": "]]",
+			 "f.synonym.hl.simple.pre": "{{"});
+	assert.deepEqual(bgr.highlight_markers('label'),
+			 {pre: '[[', post: ']]'}, 'global');
+	assert.deepEqual(bgr.highlight_markers('synonym'),
+			 {pre: '{{', post: ']]'}, 'per-field');
+    });
+
+    it('highlight_segments, render_highlight', function(){
+	var bgr = _resp({"hl.simple.pre": "[[", "hl.simple.post": "]]"});
+
+	assert.deepEqual(bgr.highlight_segments('[[<b>]]-alanine'),
+			 [{text: '<b>', matched: true},
+			  {text: '-alanine', matched: false}],
+			 'angle brackets are text');
+	assert.deepEqual(bgr.highlight_segments('a [[b]][[c]] [[d'),
+			 [{text: 'a ', matched: false},
+			  {text: 'bc', matched: true},
+			  {text: ' ', matched: false},
+			  {text: 'd', matched: true}],
+			 'adjacent and unclosed matches');
+	assert.deepEqual(bgr.highlight_segments(''), [], 'empty');
+
+	assert.equal(bgr.render_highlight('[[<b>]]-"alanine"'),
+		     '[[&lt;b&gt;]]-&quot;alanine&quot;', 'escaped');
+	assert.equal(bgr.render_highlight('[[<b>]]-alanine', null,
+					  '<mark>', '</mark>'),
+		     '<mark>&lt;b&gt;</mark>-alanine', 'other markup');
+
+	assert.equal(bgr.get_doc_highlights(0, 'label')[0].value,
+		     '<b>-alanine', 'stripping uses the markers');
+    });
+
+    it('per-field markers on the highlighted variant', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{
+		"hl.simple.pre": "<em>", "hl.simple.post": "</em>",
+		"f.annotation_class_label_searchable.hl.simple.pre": "[[",
+		"f.annotation_class_label_searchable.hl.simple.post": "]]"}},
+	    "response":{"numFound":1,"start":0,"maxScore":1.0,"docs":[
+		{"id": "a", "annotation_class": "GO:1",
+		 "annotation_class_label": "protein tag"}]},
+	    "highlighting":{
+		"a":{"annotation_class_label_searchable":["protein [[tag]]"]}}});
+
+	assert.equal(bgr.get_doc_highlight('a', 'annotation_class', 'protein tag'),
+		     'protein [[tag]]', 'get_doc_highlight');
+	assert.equal(bgr.get_doc_highlights('a', 'annotation_class')[0].value,
+		     'protein tag', 'get_doc_highlights agrees');
+    });
+
+    it('stripping without known markers', function(){
+	// E.g. echoParams=none, or markers set in the handler defaults.
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{"status":0},
+	    "response":{"numFound":1,"start":0,"maxScore":1.0,"docs":[
+		{"id": "a", "annotation_class_label": "protein tag"}]},
+	    "highlighting":{
+		"a":{"annotation_class_label_searchable":
+		     ["protein <em class=\"hilite\">tag</em>"]}}});
+
+	assert.equal(bgr.get_doc_highlight('a', 'annotation_class_label_searchable',
+					   'protein tag'),
+		     'protein <em class=\"hilite\">tag</em>', 'get_doc_highlight');
+	var hls = bgr.get_doc_highlights('a', 'annotation_class_label');
+	assert.equal(hls.length, 1, 'one highlight');
+	assert.equal(hls[0].text, 'protein tag', 'tags stripped');
+	assert.equal(hls[0].value, 'protein tag', 'value found');
+    });
+
+});
+
+describe('bbop-golr-response (table export)', function(){
+
+    var bgr = new bbop_response_golr({
+	"responseHeader":{"status":0, "params":{}},
+	"response":{"numFound":2,"start":0,"maxScore":1.0,"docs":[
+	    {"id": "1", "bioentity": "MGI:1", "bioentity_label": "Foo, \"one\"",
+	     "isa_partof_closure": ["GO:1", "GO:2"],
+	     "isa_partof_closure_map": '{"GO:1":"a","GO:2":"b"}'},
+	    {"id": "2", "bioentity": "MGI:2", "bioentity_label": "Foo\ttwo",
+	     "isa_partof_closure": ["GO:2", "GO:3"]}]}});
+
+    var fields = ['bioentity',
+		  {field: 'isa_partof_closure', header: 'closure',
+		   join: ';', label: true},
+		  'missing'];
+
+    it('tsv', function(){
+	assert.equal(bgr.export_table(['id', 'bioentity_label']),
+		     'id\tbioentity_label\n' +
+		     '1\tFoo, "one"\n' +
+		     '2\tFoo two\n',
+		     'plain');
+	assert.equal(bgr.export_table(fields, {header: false}),
+		     'MGI:1\tGO:1;GO:2\ta;b\t\n' +
+		     'MGI:2\tGO:2;GO:3\tb;\t\n',
+		     'joins and labels, found elsewhere or not at all');
+    });
+
+    it('csv', function(){
+	assert.equal(bgr.export_table(['bioentity_label', fields[1]],
+				      {format: 'csv'}),
+		     'bioentity_label,closure,closure label\r\n' +
+		     '"Foo, ""one""",GO:1;GO:2,a;b\r\n' +
+		     'Foo\ttwo,GO:2;GO:3,b;\r\n',
+		     'quoting');
+	assert.throws(function(){
+	    bgr.export_table(['id'], {format: 'xls'});
+	}, /unknown table format/, 'bad format');
+    });
+
+});
+
+describe('bbop-golr-response (GAF export)', function(){
+
+    var _annotation = function(extra){
+	var doc = {
+	    "document_category": "annotation",
+	    "id": "MGI:MGI:1_:_GO:0022008",
+	    "source": "MGI",
+	    "bioentity": "MGI:MGI:1",
+	    "bioentity_label": "Foo1",
+	    "bioentity_name": "foo protein 1",
+	    "qualifier": ["not"],
+	    "annotation_class": "GO:0022008",
+	    "reference": ["PMID:1", "MGI:MGI:2"],
+	    "evidence_type": "IDA",
+	    "evidence_with": [],
+	    "aspect": "P",
+	    "synonym": ["F1", "foo-1"],
+	    "type": "protein",
+	    "taxon": "NCBITaxon:10090",
+	    "date": "20150101",
+	    "assigned_by": "MGI",
+	    "annotation_extension_json": [
+		'{"relationship":{"relation":[{"id":"BFO:0000066","label":"occurs in"}],"id":"CL:0000540","label":"neuron"}}']
+	};
+	us.extend(doc, extra || {});
+	return doc;
+    };
+
+    var bgr = new bbop_response_golr({
+	"responseHeader":{"status":0, "params":{}},
+	"response":{"numFound":3,"start":0,"maxScore":1.0,"docs":[
+	    _annotation(),
+	    _annotation({"id": "bad", "aspect": [], "qualifier": []}),
+	    {"document_category": "ontology_class", "id": "GO:0022008"}]}});
+
+    it('export_gaf', function(){
+	var out = bgr.export_gaf({date: new Date(2016, 0, 2),
+				  header: ['URL: http://example.org']});
+	assert.equal(out.gaf,
+		     '!gaf-version: 2.1\n' +
+		     '!generated-by: bbop-response-golr\n' +
+		     '!date-generated: 2016-01-02\n' +
+		     '!URL: http://example.org\n' +
+		     ['MGI', 'MGI:1', 'Foo1', 'NOT', 'GO:0022008',
+		      'PMID:1|MGI:MGI:2', 'IDA', '', 'P', 'foo protein 1',
+		      'F1|foo-1', 'protein', 'taxon:10090', '20150101', 'MGI',
+		      'occurs_in(CL:0000540)', ''].join('\t') + '\n',
+		     'header and line');
+	assert.equal(out.lines, 1, 'one line');
+	assert.deepEqual(out.skipped,
+			 [{id: 'bad', index: 1,
+			   message: 'missing required GAF columns',
+			   missing: ['aspect']},
+			  {id: 'GO:0022008', index: 2,
+			   message: 'not an annotation document', missing: []}],
+			 'skipped');
+    });
+
+    it('GAF 2.2 wants qualifiers', function(){
+	var out = bgr.export_gaf({version: '2.2'});
+	assert.equal(out.gaf.split('\n')[0], '!gaf-version: 2.2', 'version');
+	assert.deepEqual(out.skipped[0].missing, ['qualifier', 'aspect'],
+			 'missing qualifier');
+	assert.throws(function(){
+	    bgr.export_gaf({version: '1.0'});
+	}, /unknown GAF version/, 'bad version');
+    });
+
+});
+
+describe('bbop-golr-response (facet trees)', function(){
+
+    var _graph = function(id, lbl, parents){
+	return JSON.stringify({
+	    "nodes": [{"id": id, "lbl": lbl}],
+	    "edges": us.map(parents, function(p){
+		return {"sub": id, "obj": p[0], "pred": p[1]};
+	    })});
+    };
+
+    var ont = new bbop_response_golr({
+	"responseHeader":{"status":0, "params":{}},
+	"response":{"numFound":5,"start":0,"maxScore":1.0,"docs":[
+	    {"document_category": "ontology_class", "id": "GO:0008150",
+	     "annotation_class": "GO:0008150",
+	     "annotation_class_label": "biological_process",
+	     "topology_graph_json": _graph("GO:0008150", "biological_process", [])},
+	    {"document_category": "ontology_class", "id": "GO:0032502",
+	     "annotation_class": "GO:0032502",
+	     "annotation_class_label": "developmental process",
+	     "topology_graph_json": _graph("GO:0032502", "developmental process",
+					   [["GO:0008150", "is_a"]])},
+	    {"document_category": "ontology_class", "id": "GO:0009987",
+	     "annotation_class": "GO:0009987",
+	     "annotation_class_label": "cellular process",
+	     "topology_graph_json": _graph("GO:0009987", "cellular process",
+					   [["GO:0008150", "is_a"]])},
+	    {"document_category": "ontology_class", "id": "GO:0030154",
+	     "annotation_class": "GO:0030154",
+	     "annotation_class_label": "cell differentiation",
+	     "topology_graph_json": _graph("GO:0030154", "cell differentiation",
+					   [["GO:0048869", "is_a"],
+					    ["GO:0009987", "is_a"],
+					    ["GO:0032502", "RO:0002211"]])},
+	    {"document_category": "ontology_class", "id": "GO:0048869",
+	     "annotation_class": "GO:0048869",
+	     "annotation_class_label": "cellular developmental process",
+	     "topology_graph_json": _graph("GO:0048869", "cellular developmental process",
+					   [["GO:0032502", "is_a"]])}]}});
+
+    var bgr = new bbop_response_golr({
+	"responseHeader":{"status":0, "params":{}},
+	"response":{"numFound":8,"start":0,"maxScore":1.0,"docs":[]},
+	"facet_counts":{"facet_fields":{
+	    "isa_partof_closure":[
+		["GO:0008150", 8], ["GO:0009987", 6], ["GO:0032502", 5],
+		["GO:0030154", 3]],
+	    "isa_partof_closure_label":[
+		["biological_process", 8], ["cellular process", 6],
+		["developmental process", 5], ["cell differentiation", 3]]}}});
+
+    var _shape = function(nodes){
+	return us.map(nodes, function(n){
+	    var ret = [n.label, n.count];
+	    if( n.children.length > 0 ){
+		ret.push(_shape(n.children));
+	    }
+	    return ret;
+	});
+    };
+
+    it('from ontology documents', function(){
+	var tree = bgr.facet_tree('isa_partof_closure', ont);
+	assert.deepEqual(_shape(tree),
+			 [['biological_process', 8,
+			   [['cellular process', 6,
+			     [['cell differentiation', 3]]],
+			    ['developmental process', 5,
+			     [['cell differentiation', 3]]]]]],
+			 'through missing terms, not odd edges');
+	assert.equal(tree[0].id, 'GO:0008150', 'ids');
+
+	var ltree = bgr.facet_tree('isa_partof_closure_label', ont);
+	assert.deepEqual(_shape(ltree), _shape(tree), 'labels too');
+	assert.equal(ltree[0].children[0].id, 'GO:0009987', 'label ids');
+    });
+
+    it('from an adjacency map', function(){
+	var tree = bgr.facet_tree('isa_partof_closure', {
+	    "GO:0009987": ["GO:0008150"],
+	    "GO:0030154": ["GO:0009987"]
+	}, {labels: {"GO:0008150": "bp"}});
+	assert.deepEqual(_shape(tree),
+			 [['bp', 8, [['GO:0009987', 6, [['GO:0030154', 3]]]]],
+			  ['GO:0032502', 5]],
+			 'roots and children');
+	assert.deepEqual(bgr.facet_tree('foo', {}), [], 'no such facet');
+    });
+
+    it('no shortcut edges through diamonds', function(){
+	var dbgr = new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{}},
+	    "response":{"numFound":4,"start":0,"maxScore":1.0,"docs":[]},
+	    "facet_counts":{"facet_fields":{
+		"isa_partof_closure":[["C", 4], ["B", 3], ["A", 2]]}}});
+	var tree = dbgr.facet_tree('isa_partof_closure',
+				   {"A": ["B", "D"], "B": ["C"], "D": ["C"]});
+	assert.deepEqual(_shape(tree), [['C', 4, [['B', 3, [['A', 2]]]]]],
+			 'A only under B');
+    });
+
+});
+
+describe('bbop-golr-response (facet views)', function(){
+
+    var bgr = new bbop_response_golr({
+	"responseHeader":{"status":0, "params":{
+	    "fq":["source:\"MGI\"", "-source:\"ZFIN\""]}},
+	"response":{"numFound":20,"start":0,"maxScore":1.0,"docs":[]},
+	"facet_counts":{"facet_fields":{
+	    "source":[["UniProtKB", 8], ["MGI", 5], ["chr10", 3],
+		      ["chr2", 3], ["ZFIN", 1]]}}});
+
+    it('sorts and percentages', function(){
+	var view = bgr.facet_view('source');
+	assert.deepEqual(us.pluck(view, 'value'),
+			 ['UniProtKB', 'MGI', 'chr10', 'chr2', 'ZFIN'],
+			 'by count, then name');
+	assert.deepEqual(view[0], {value: 'UniProtKB', count: 8, percent: 40},
+			 'item');
+	assert.deepEqual(us.pluck(bgr.facet_view('source', {sort: 'alpha'}), 'value'),
+			 ['MGI', 'UniProtKB', 'ZFIN', 'chr10', 'chr2'], 'alpha');
+	assert.deepEqual(us.pluck(bgr.facet_view('source', {sort: 'natural'}), 'value'),
+			 ['MGI', 'UniProtKB', 'ZFIN', 'chr2', 'chr10'], 'natural');
+	assert.deepEqual(bgr.facet_view('foo'), [], 'no field');
+	assert.throws(function(){
+	    bgr.facet_view('source', {sort: 'random'});
+	}, /unknown facet sort/, 'bad sort');
+    });
+
+    it('top-N, thresholds, and other', function(){
+	var view = bgr.facet_view('source', {limit: 2});
+	assert.deepEqual(view[2], {value: 'other', count: 7, percent: 35,
+				   other: true, values: 3}, 'other bucket');
+
+	view = bgr.facet_view('source', {min_count: 3, min_percent: 20,
+					 sort: 'alpha', other_label: 'rest'});
+	assert.deepEqual(us.pluck(view, 'value'), ['MGI', 'UniProtKB', 'rest'],
+			 'thresholds');
+
+	view = bgr.facet_view('source', {limit: 2, other: false});
+	assert.equal(view.length, 2, 'no other bucket');
+    });
+
+    it('excluding selected values', function(){
+	var view = bgr.facet_view('source', {exclude_selected: true, limit: 1});
+	assert.deepEqual(us.pluck(view, 'value'), ['UniProtKB', 'other'],
+			 'positive filters only');
+	assert.equal(view[1].count, 7, 'not in other either');
+    });
+
+});
+
+describe('bbop-golr-response (json.nl encodings)', function(){
+
+    // The same named lists in each encoding.
+    var _nl = function(enc, pairs){
+	if( enc === 'arrarr' ){
+	    return pairs;
+	}else if( enc === 'flat' ){
+	    return us.flatten(pairs, true);
+	}else if( enc === 'map' ){
+	    return us.object(pairs);
+	}else if( enc === 'arrmap' ){
+	    return us.map(pairs, function(p){ return us.object([p]); });
+	}else{
+	    return us.map(pairs, function(p){
+		return {"name": p[0], "type": "int", "value": p[1]};
+	    });
+	}
+    };
+
+    var _resp = function(enc, with_param){
+	var params = {};
+	if( with_param ){
+	    params['json.nl'] = enc;
+	}
+	return new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":params},
+	    "response":{"numFound":8,"start":0,"maxScore":1.0,"docs":[]},
+	    "facet_counts":{
+		"facet_queries":{"date:[* TO NOW]": 8},
+		"facet_fields":{
+		    "source":_nl(enc, [["UniProtKB", 5], ["MGI", 3]]),
+		    "taxon":_nl(enc, [])},
+		"facet_ranges":{
+		    "date":{"counts":_nl(enc, [["2010-01-01T00:00:00Z", 2],
+						["2011-01-01T00:00:00Z", 6]]),
+			    "gap":"+1YEAR",
+			    "start":"2010-01-01T00:00:00Z",
+			    "end":"2012-01-01T00:00:00Z"}},
+		"facet_pivot":{
+		    "source,evidence_type":[
+			{"field":"source", "value":"MGI", "count":3}]}},
+	    "stats":{"stats_fields":{
+		"score":{"min":1.0, "max":2.0, "count":8,
+			 "percentiles":_nl(enc, [["50.0", 1.5]])}}},
+	    "spellcheck":{
+		"suggestions":_nl(enc, [["neurogensis",
+					 {"numFound":1,"startOffset":0,
+					  "endOffset":11,
+					  "suggestion":["neurogenesis"]}]]),
+		"collations":_nl(enc, [["collation", "neurogenesis"]])}});
+    };
+
+    us.each([true, false], function(with_param){
+	us.each(['flat', 'map', 'arrarr', 'arrmap', 'arrntv'], function(enc){
+	    var note = enc + (with_param ? ' (asked for)' : ' (sniffed)');
+	    it(note, function(){
+		var bgr = _resp(enc, with_param);
+		assert.equal(bgr.named_list_encoding(), with_param ? enc : null,
+			     'encoding');
+		assert.deepEqual(bgr.facet_field('source'),
+				 [["UniProtKB", 5], ["MGI", 3]], 'facet_field');
+		assert.deepEqual(bgr.facet_field('taxon'), [], 'empty');
+		assert.deepEqual(bgr.facet_counts(),
+				 {source: {UniProtKB: 5, MGI: 3}, taxon: {}},
+				 'facet_counts');
+		assert.deepEqual(us.pluck(bgr.facet_range('date').buckets, 'count'),
+				 [2, 6], 'range counts');
+		assert.equal(bgr.facet_query_count('date:[* TO NOW]'), 8,
+			     'query facets');
+		assert.equal(bgr.facet_pivot('source,evidence_type')[0].count, 3,
+			     'pivots');
+		assert.equal(bgr.stats_field('score').percentiles[50], 1.5,
+			     'stats');
+		assert.deepEqual(bgr.spellcheck_suggestions(),
+				 [{word: 'neurogensis', num_found: 1,
+				   start_offset: 0, end_offset: 11,
+				   suggestions: ['neurogenesis']}],
+				 'suggestions');
+		assert.deepEqual(bgr.spellcheck_collations(), ['neurogenesis'],
+				 'collations');
+	    });
+	});
+    });
+
+    it('mislabeled and old-style lists', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{"json.nl":"flat"}},
+	    "response":{"numFound":8,"start":0,"maxScore":1.0,"docs":[]},
+	    "facet_counts":{"facet_fields":{"source":[["MGI", 3], ["ZFIN", 1]]}},
+	    "spellcheck":{"suggestions":[
+		"neurogensis", {"numFound":1, "startOffset":0, "endOffset":11,
+				"suggestion":[{"word":"neurogenesis", "freq":4}]},
+		"correctlySpelled", false,
+		"collation", "neurogenesis"]}});
+	assert.deepEqual(bgr.facet_field('source'), [["MGI", 3], ["ZFIN", 1]],
+			 'not really flat');
+	assert.deepEqual(bgr.spellcheck_suggestions()[0].suggestions,
+			 ['neurogenesis'], 'extended results');
+	assert.deepEqual(bgr.spellcheck_collations(), ['neurogenesis'],
+			 'inline collation');
+	assert.isNull(bgr.facet_field('foo'), 'no such field');
+    });
+
+});
+
+describe('bbop-golr-response (snapshots)', function(){
+
+    var _resp = function(){
+	return new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{"q":"*:*"}},
+	    "response":{"numFound":2,"start":0,"maxScore":1.0,"docs":[
+		{"id": "a1", "bioentity": "MGI:1", "bioentity_label": "Foo1",
+		 "isa_partof_closure": ["GO:1", "GO:2"],
+		 "isa_partof_closure_map": '{"GO:1":"one","GO:2":"two"}'},
+		{"id": "a2", "bioentity": "MGI:2", "bioentity_label": "Foo2"}]}});
+    };
+
+    it('round trip, with caches and metadata', function(){
+	var bgr = _resp();
+	bgr.metadata({fetched: '2016-01-02T03:04:05.000Z',
+		      source_url: 'http://golr.example.org/solr/select?q=*:*'});
+	bgr.get_doc('a2');
+	bgr.get_doc_label('a1', 'isa_partof_closure', 'GO:2');
+	bgr.label_index();
+	bgr.validation_profile('no_facet');
+
+	var str = JSON.stringify(bgr);
+	var snap = JSON.parse(str);
+	assert.equal(snap.format, 'bbop-response-golr.snapshot', 'format');
+	assert.equal(snap.version, 1, 'version');
+	assert.deepEqual(us.keys(snap.caches).sort(),
+			 ['_doc_id2index', '_doc_index2id', '_doc_label_maps',
+			  '_label_index', '_validation_profile'],
+			 'built caches kept');
+
+	var back = bbop_response_golr.fromJSON(str);
+	assert.instanceOf(back, bbop_response_golr, 'a response');
+	assert.deepEqual(back.raw(), bgr.raw(), 'raw');
+	assert.equal(back.metadata().source_url,
+		     'http://golr.example.org/solr/select?q=*:*', 'metadata');
+	assert.deepEqual(back._doc_id2index, {a1: 0, a2: 1}, 'doc index');
+	assert.deepEqual(back._doc_label_maps, bgr._doc_label_maps,
+			 'label maps');
+	assert.isTrue(back.success(), 'validation profile');
+	assert.equal(back.resolve_label('GO:1'), 'one', 'label index');
+	assert.deepEqual(JSON.parse(JSON.stringify(back)), snap, 'stable');
+    });
+
+    it('compatibility', function(){
+	var snap = _resp().toJSON();
+	assert.isTrue(bbop_response_golr.snapshot_compatible_p(snap), 'okay');
+
+	var later = us.extend({}, snap, {version: 2});
+	assert.isFalse(bbop_response_golr.snapshot_compatible_p(later), 'later');
+	assert.throws(function(){
+	    bbop_response_golr.fromJSON(later);
+	}, /snapshot version 2 is not the supported version 1/, 'later');
+
+	assert.throws(function(){
+	    bbop_response_golr.fromJSON(snap.raw);
+	}, /not a response snapshot/, 'just raw');
+	assert.isFalse(bbop_response_golr.snapshot_compatible_p('{'), 'bad');
+    });
+
+});
@@ -0,0 +1,176 @@
+////
+//// Unit testing for reading XML and CSV responses.
+////
+
+var us = require('underscore');
+
+// Test stuff
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+
+// Correct environment, ready testing.
+var bbop_response_golr = require('..');
+var solr_xml = require('../lib/solr_xml');
+var solr_csv = require('../lib/solr_csv');
+
+///
+/// Start unit testing.
+///
+
+describe('Solr XML responses', function(){
+
+    var xml = [
+	'<?xml version="1.0" encoding="UTF-8"?>',
+	'<response>',
+	'<!-- A cut-down GOlr response. -->',
+	'<lst name="responseHeader"><int name="status">0</int>',
+	' <int name="QTime">3</int>',
+	' <lst name="params">',
+	'  <str name="q">*:*</str>',
+	'  <str name="hl.simple.pre">&lt;em&gt;</str>',
+	'  <arr name="fq"><str>source:"MGI"</str><str>taxon:"NCBITaxon:10090"</str></arr>',
+	' </lst>',
+	'</lst>',
+	'<result name="response" numFound="12" start="0" maxScore="1.5">',
+	' <doc>',
+	'  <str name="id">MGI:MGI:1</str>',
+	'  <str name="bioentity_label">a &amp; b</str>',
+	'  <arr name="synonym"><str>x</str><str><![CDATA[<y>]]></str></arr>',
+	'  <float name="score">1.5</float>',
+	'  <bool name="obsolete">false</bool>',
+	'  <date name="date">2015-01-01T00:00:00Z</date>',
+	' </doc>',
+	' <doc><str name="id">MGI:MGI:2</str><null name="nothing"/></doc>',
+	'</result>',
+	'<lst name="facet_counts">',
+	' <lst name="facet_queries"/>',
+	' <lst name="facet_fields">',
+	'  <lst name="source"><int name="MGI">10</int><int name="2001">2</int></lst>',
+	' </lst>',
+	'</lst>',
+	'<lst name="highlighting">',
+	' <lst name="MGI:MGI:1"><arr name="synonym"><str>&lt;em&gt;x&lt;/em&gt;</str></arr></lst>',
+	'</lst>',
+	'</response>'
+    ].join('\n');
+
+    it('parse', function(){
+	var robj = solr_xml.parse(xml);
+	assert.deepEqual(robj.responseHeader,
+			 {status: 0, QTime: 3,
+			  params: {q: '*:*', 'hl.simple.pre': '<em>',
+				   fq: ['source:"MGI"', 'taxon:"NCBITaxon:10090"']}},
+			 'header');
+	assert.deepEqual(robj.response.docs[0],
+			 {id: 'MGI:MGI:1', bioentity_label: 'a & b',
+			  synonym: ['x', '<y>'], score: 1.5, obsolete: false,
+			  date: '2015-01-01T00:00:00Z'},
+			 'typed document');
+	assert.isNull(robj.response.docs[1].nothing, 'null');
+	assert.deepEqual(robj.facet_counts.facet_fields.source,
+			 [['MGI', 10], ['2001', 2]], 'facets in order');
+	assert.deepEqual(robj.facet_counts.facet_queries, {}, 'empty lst');
+    });
+
+    it('from_xml', function(){
+	var bgr = bbop_response_golr.from_xml(xml);
+	assert.isTrue(bgr.success(), 'success');
+	assert.equal(bgr.total_documents(), 12, 'total');
+	assert.equal(bgr.documents().length, 2, 'docs');
+	assert.deepEqual(bgr.query_filters(),
+			 {source: {MGI: true}, taxon: {'NCBITaxon:10090': true}},
+			 'filters');
+	assert.deepEqual(bgr.facet_field('source'),
+			 [['MGI', 10], ['2001', 2]], 'facets');
+	assert.equal(bgr.get_doc_highlights(0, 'synonym')[0].value, 'x',
+		     'highlighting');
+    });
+
+    it('errors', function(){
+	assert.throws(function(){
+	    solr_xml.parse('<response><lst name="a"></response>');
+	}, /unexpected closing tag "response"/, 'mismatched');
+	assert.throws(function(){
+	    solr_xml.parse('<response><str name="a">&nbsp;</str></response>');
+	}, /unknown entity/, 'entity');
+	assert.throws(function(){
+	    solr_xml.parse('<html></html>');
+	}, /not a Solr XML response/, 'not Solr');
+	assert.throws(function(){
+	    solr_xml.parse('<response><lst name="a">');
+	}, /unclosed element "lst"/, 'unclosed');
+    });
+
+});
+
+describe('Solr CSV responses', function(){
+
+    var csv = [
+	'id,document_category,bioentity_label,synonym,taxon,score',
+	'MGI:MGI:1,annotation,"Foo, one","f1,foo\\,one",NCBITaxon:10090,1.5',
+	'MGI:MGI:2,annotation,"say ""hi""",,NCBITaxon:10090,0.5',
+	''
+    ].join('\r\n');
+
+    it('parse', function(){
+	var robj = solr_csv.parse(csv, {multi_valued: ['synonym']});
+	assert.deepEqual(robj.response.docs,
+			 [{id: 'MGI:MGI:1', document_category: 'annotation',
+			   bioentity_label: 'Foo, one',
+			   synonym: ['f1', 'foo,one'],
+			   taxon: 'NCBITaxon:10090', score: 1.5},
+			  {id: 'MGI:MGI:2', document_category: 'annotation',
+			   bioentity_label: 'say "hi"',
+			   taxon: 'NCBITaxon:10090', score: 0.5}],
+			 'documents');
+	assert.equal(robj.response.numFound, 2, 'counted');
+	assert.equal(robj.response.maxScore, 1.5, 'max score');
+	assert.deepEqual(robj.responseHeader.params, {wt: 'csv'}, 'params');
+
+	assert.throws(function(){
+	    solr_csv.parse('a,b\n1,2,3\n');
+	}, /row on line 2 has 3 cells/, 'ragged');
+	assert.throws(function(){
+	    solr_csv.parse('a,b\n\n"x\ny",1\n\r\n1,2,3\n');
+	}, /row on line 6 has 3 cells/, 'ragged, after blank lines and a quoted newline');
+	assert.throws(function(){
+	    solr_csv.parse('a,b\n"1,2\n');
+	}, /unterminated/, 'unterminated');
+    });
+
+    it('from_csv, with a schema', function(){
+	var golr_conf = {
+	    "id": "annotation",
+	    "document_category": "annotation",
+	    "fields": [
+		{"id": "id", "type": "string"},
+		{"id": "document_category", "type": "string"},
+		{"id": "bioentity_label", "type": "string"},
+		{"id": "synonym", "type": "string", "cardinality": "multi"},
+		{"id": "taxon", "type": "string"},
+		{"id": "obsolete", "type": "boolean"}]};
+	var golr_schema = new bbop_response_golr.schema(golr_conf);
+
+	var bgr = bbop_response_golr.from_csv(csv.replace(/score/, 'score,obsolete')
+					      .replace(/1\.5/, '1.5,false')
+					      .replace(/0\.5/, '0.5,true'), {
+	    schema: golr_schema,
+	    num_found: 40,
+	    start: 10,
+	    params: {q: '*:*', rows: '2', start: '10'}
+	});
+	assert.isTrue(bgr.success('no_facet'), 'success');
+	assert.equal(bgr.total_documents(), 40, 'total');
+	assert.equal(bgr.start_document(), 11, 'start');
+	assert.isTrue(bgr.paging_next_p(), 'paging');
+	assert.deepEqual(bgr.get_doc_field(0, 'synonym'), ['f1', 'foo,one'],
+			 'multi-valued');
+	assert.strictEqual(bgr.get_doc_field(1, 'obsolete'), true, 'typed');
+
+	assert.deepEqual(solr_csv.parse(csv, {schema: golr_conf}),
+			 solr_csv.parse(csv, {schema: golr_schema}),
+			 'configuration or schema object');
+    });
+
+});
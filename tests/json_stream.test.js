@@ -0,0 +1,177 @@
+////
+//// Unit testing for streaming JSON and responses.
+////
+
+var us = require('underscore');
+var bbop = require('bbop-core');
+var stream = require('stream');
+
+// Test stuff
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+
+// Correct environment, ready testing.
+var bbop_response_golr = require('..');
+var json_stream = require('../lib/json_stream');
+
+///
+/// Start unit testing.
+///
+
+// A readable stream of the text, in pieces of the given size.
+function _readable(text, size){
+    var readable = new stream.Readable();
+    var pos = 0;
+    readable._read = function(){
+	if( pos < text.length ){
+	    this.push(text.substring(pos, pos + size));
+	    pos += size;
+	}else{
+	    this.push(null);
+	}
+    };
+    return readable;
+}
+
+var robj = {
+    "responseHeader":{"status":0, "QTime":2, "params":{
+	"q":"*:*", "rows":"3", "start":"0",
+	"fq":["document_category:\"annotation\""]}},
+    "response":{"numFound":10, "start":0, "maxScore":1.5, "docs":[
+	{"id":"MGI:1", "bioentity_label":"Foo \"1\"", "score":1.5},
+	{"id":"MGI:2", "bioentity_label":"été 😀", "score":-1.25e-2},
+	{"id":"MGI:3", "obsolete":false, "replaced_by":null, "syn":[]}]},
+    "facet_counts":{"facet_queries":{}, "facet_fields":{
+	"source":[["MGI", 3]]}},
+    "highlighting":{"MGI:1":{"bioentity_label":["<em>Foo</em> \"1\""]}}
+};
+var text = JSON.stringify(robj, null, 1);
+
+describe('json_stream', function(){
+
+    it('parses in pieces of any size', function(){
+	us.each([1, 2, 3, 7, 64, text.length], function(size){
+	    var values = [];
+	    var parser = new json_stream({
+		'value': function(path, value){
+		    values.push(path.join('.'));
+		}
+	    }, 1);
+	    for( var pos = 0; pos < text.length; pos += size ){
+		parser.write(text.substring(pos, pos + size));
+	    }
+	    assert.deepEqual(parser.end(), robj, 'same as JSON.parse: ' + size);
+	    assert.deepEqual(values,
+			     ['responseHeader', 'response', 'facet_counts',
+			      'highlighting', ''],
+			     'top values handed out: ' + size);
+	});
+    });
+
+    it('drops values', function(){
+	var opened = [];
+	var parser = new json_stream({
+	    'open': function(path, type){
+		opened.push(path.join('.') + ':' + type);
+	    },
+	    'value': function(path, value){
+		return path.length === 2 && path[0] === 'a';
+	    }
+	}, 2);
+	parser.write('{"a": [1, 2, {"b": 3}], "c": 4');
+	assert.isUndefined(parser.value(), 'not yet');
+	parser.write('}');
+	assert.deepEqual(parser.value(), {a: [], c: 4}, 'dropped');
+	assert.deepEqual(opened, [':object', 'a:array', 'a.2:object'], 'opened');
+    });
+
+    it('errors', function(){
+	us.each(['{"a": }', '[1, 2,]', '{"a" 1}', '[1 2]', '[tru]', '[01]',
+		 '{"a": 1} x', '[1, 2'], function(bad){
+		     assert.throws(function(){
+			 var parser = new json_stream();
+			 parser.write(bad);
+			 parser.end();
+		     }, /JSON parse error at position/, bad);
+		 });
+    });
+
+});
+
+describe('bbop-golr-response (streaming)', function(){
+
+    it('read_stream', function(done){
+	var events = [];
+	var reader = bbop_response_golr.read_stream(_readable(text, 5));
+	reader.on('header', function(header){
+	    events.push('header:' + header.params.rows);
+	});
+	reader.on('response', function(meta){
+	    events.push('response:' + meta.numFound);
+	});
+	reader.on('document', function(doc, i){
+	    events.push('document:' + i + ':' + doc.id);
+	});
+	reader.on('section', function(name, value){
+	    events.push('section:' + name);
+	});
+	reader.on('error', done);
+	reader.on('end', function(bgr){
+	    assert.deepEqual(events,
+			     ['header:3', 'response:10',
+			      'document:0:MGI:1', 'document:1:MGI:2',
+			      'document:2:MGI:3',
+			      'section:facet_counts', 'section:highlighting'],
+			     'in order as read');
+	    assert.isTrue(bgr.success(), 'success');
+	    assert.deepEqual(bgr.documents(), [], 'documents not kept');
+	    assert.equal(bgr.end_document(), 3, 'but counted');
+	    assert.isTrue(bgr.paging_next_p(), 'paging');
+	    assert.deepEqual(bgr.facet_counts(), {source: {MGI: 3}}, 'facets');
+	    done();
+	});
+    });
+
+    it('keeping documents', function(done){
+	var reader = bbop_response_golr.read_stream(_readable(text, 100),
+						    {keep_documents: true});
+	reader.on('error', done);
+	reader.on('end', function(bgr){
+	    assert.equal(bgr.documents().length, 3, 'kept');
+	    assert.equal(bgr.get_doc_field('MGI:2', 'score'), -0.0125, 'whole');
+	    done();
+	});
+    });
+
+    it('cursor paging', function(done){
+	var cobj = bbop.clone(robj);
+	cobj['responseHeader']['params']['cursorMark'] = '*';
+	cobj['nextCursorMark'] = 'AoEpTUdJOjM=';
+	var reader = bbop_response_golr.read_stream(_readable(JSON.stringify(cobj), 7));
+	reader.on('error', done);
+	reader.on('end', function(bgr){
+	    var plain = new bbop_response_golr(cobj);
+	    assert.deepEqual(bgr.documents(), [], 'documents not kept');
+	    assert.isFalse(bgr.cursor_end_p(), 'not the end');
+	    assert.isTrue(bgr.paging_next_p(), 'paging');
+	    assert.equal(bgr.next_cursor_parameters()['cursorMark'],
+			 'AoEpTUdJOjM=', 'next cursor');
+	    assert.deepEqual(bgr.next_cursor_parameters(),
+			     plain.next_cursor_parameters(), 'same as plain JSON');
+	    done();
+	});
+    });
+
+    it('bad JSON', function(done){
+	var reader = bbop_response_golr.read_stream(_readable('{"a": [1, }', 3));
+	reader.on('error', function(err){
+	    assert.match(err.message, /JSON parse error/, 'error');
+	    done();
+	});
+	reader.on('end', function(){
+	    done(new Error('should not end'));
+	});
+    });
+
+});
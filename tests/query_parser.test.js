@@ -0,0 +1,152 @@
+////
+//// Unit testing for the query (filter) parser.
+////
+
+var us = require('underscore');
+
+// Test stuff
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+
+// Correct environment, ready testing.
+var query_parser = require('../lib/query_parser');
+
+///
+/// Start unit testing.
+///
+
+describe('query_parser', function(){
+
+    it('simple terms and phrases', function(){
+
+	var f = query_parser.parse('source:MGI');
+	assert.equal(f.type, 'filter', 'top is filter');
+	assert.equal(f.raw, 'source:MGI', 'raw kept');
+	assert.isNull(f.local_params, 'no local params');
+	assert.deepEqual(f.query, {type: 'term', field: 'source', value: 'MGI',
+				   wildcard: false, fuzzy: null, boost: null},
+			 'term');
+
+	var p = query_parser.parse('taxon_label:"Mus musculus"').query;
+	assert.equal(p.type, 'phrase', 'phrase');
+	assert.equal(p.value, 'Mus musculus', 'phrase value');
+
+	var e = query_parser.parse('isa_partof_closure:GO\\:0022008').query;
+	assert.equal(e.field, 'isa_partof_closure', 'escaped colon field');
+	assert.equal(e.value, 'GO:0022008', 'escaped colon value');
+
+	var l = query_parser.parse('isa_partof_closure:GO:0022008').query;
+	assert.equal(l.value, 'GO:0022008', 'lenient colon value');
+
+	assert.equal(query_parser.parse('*:*').query.type, 'all', 'all');
+    });
+
+    it('local params', function(){
+
+	var f = query_parser.parse('{!tag=src}source:"MGI"');
+	assert.deepEqual(f.local_params, {tag: 'src'}, 'tag');
+	assert.equal(f.query.field, 'source', 'field after local params');
+	assert.equal(f.query.value, 'MGI', 'value after local params');
+
+	var t = query_parser.parse('{!term f=source tag="a b"}MGI:x (y)');
+	assert.deepEqual(t.local_params, {type: 'term', f: 'source',
+					  tag: 'a b'}, 'type and quoting');
+	assert.equal(t.query.type, 'term', 'literal term');
+	assert.equal(t.query.field, 'source', 'literal field');
+	assert.equal(t.query.value, 'MGI:x (y)', 'literal value');
+
+	var v = query_parser.parse("{!lucene v='a:b'}");
+	assert.equal(v.query.field, 'a', 'v param parsed');
+
+	var u = query_parser.parse('{!frange l=0 u=1}sum(x,y)');
+	assert.deepEqual(u.query, {type: 'unparsed', value: 'sum(x,y)'},
+			 'unknown type left alone');
+    });
+
+    it('boolean operators, grouping, and negation', function(){
+
+	var g = query_parser.parse('taxon:(A OR "B c")').query;
+	assert.equal(g.type, 'group', 'field group');
+	assert.equal(g.field, 'taxon', 'group field');
+	assert.equal(g.clause.type, 'boolean', 'inner boolean');
+	assert.equal(g.clause.operator, 'OR', 'inner or');
+	assert.deepEqual(us.pluck(g.clause.clauses, 'field'),
+			 ['taxon', 'taxon'], 'field pushed down');
+	assert.deepEqual(us.pluck(g.clause.clauses, 'value'),
+			 ['A', 'B c'], 'group values');
+
+	var n = query_parser.parse('-(a:b AND c:d)').query;
+	assert.equal(n.type, 'not', 'negated');
+	assert.equal(n.clause.type, 'group', 'negated group');
+	assert.equal(n.clause.clause.operator, 'AND', 'and inside');
+
+	// AND binds tighter than OR; NOT tighter still.
+	var b = query_parser.parse('NOT a:b && c:d || e:f').query;
+	assert.equal(b.operator, 'OR', 'or on top');
+	assert.equal(b.clauses[0].operator, 'AND', 'and below');
+	assert.equal(b.clauses[0].clauses[0].type, 'not', 'not below that');
+
+	// Implicit joins follow the default operator.
+	assert.equal(query_parser.parse('a:b c:d').query.operator, 'OR',
+		     'default or');
+	assert.equal(query_parser.parse('a:b c:d', 'AND').query.operator,
+		     'AND', 'q.op and');
+	assert.equal(query_parser.parse('a:b !c:d').query.clauses[1].type,
+		     'not', 'bang not');
+    });
+
+    it('ranges, wildcards, and modifiers', function(){
+
+	var r = query_parser.parse('date:[2010 TO *]').query;
+	assert.deepEqual(r, {type: 'range', field: 'date', lower: '2010',
+			     upper: null, include_lower: true,
+			     include_upper: true, boost: null}, 'range');
+
+	var x = query_parser.parse('date:{NOW-1YEAR/DAY TO NOW]').query;
+	assert.isFalse(x.include_lower, 'exclusive lower');
+	assert.equal(x.lower, 'NOW-1YEAR/DAY', 'date math lower');
+
+	var w = query_parser.parse('label:neur*').query;
+	assert.isTrue(w.wildcard, 'wildcard');
+	assert.isFalse(query_parser.parse('label:a\\*b').query.wildcard,
+		       'escaped star is not a wildcard');
+
+	var m = query_parser.parse('a~1 "b c"~3^2').query.clauses;
+	assert.equal(m[0].fuzzy, 1, 'fuzzy');
+	assert.equal(m[1].slop, 3, 'slop');
+	assert.equal(m[1].boost, 2, 'boost');
+    });
+
+    it('errors', function(){
+	assert.throws(function(){ query_parser.parse('a:(b'); }, /\)/);
+	assert.throws(function(){ query_parser.parse('a:[1 TO'); },
+		      /range bound/);
+	assert.throws(function(){ query_parser.parse('a:"b'); },
+		      /unterminated/);
+	assert.throws(function(){ query_parser.parse('a:b)'); },
+		      /unexpected/);
+    });
+
+    it('simple_filter', function(){
+	var _sf = function(str){
+	    return query_parser.simple_filter(query_parser.parse(str));
+	};
+	assert.deepEqual(_sf('-source:"MGI"'), ['source', 'MGI', false],
+			 'negated phrase');
+	assert.deepEqual(_sf('{!tag=x}--a:b'), ['a', 'b', true],
+			 'double negation');
+	assert.deepEqual(_sf('date:[2010 TO *}'),
+			 ['date', '[2010 TO *}', true], 'range');
+	assert.isNull(_sf('taxon:(A OR B)'), 'not simple');
+	assert.isNull(_sf('foo'), 'no field');
+    });
+
+    it('simple_filter_string', function(){
+	assert.deepEqual(query_parser.simple_filter_string('-source:"MGI"'),
+			 ['source', 'MGI', false], 'string in');
+	assert.isNull(query_parser.simple_filter_string('a:"b'), 'unparsable');
+	assert.isNull(query_parser.simple_filter_string('a:b OR c:d'), 'not simple');
+    });
+
+});
@@ -0,0 +1,172 @@
+////
+//// Unit testing for deriving and serializing requests.
+////
+
+var us = require('underscore');
+
+// Test stuff
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+
+// Correct environment, ready testing.
+var bbop_response_golr = require('..');
+var request = bbop_response_golr.request;
+
+///
+/// Start unit testing.
+///
+
+describe('request', function(){
+
+    var params = {
+	"facet":"true",
+	"json.nl":"arrarr",
+	"wt":"json",
+	"rows":"10",
+	"start":"0",
+	"q":"*:*",
+	"facet.field":["source", "evidence_type"],
+	"fq":["document_category:\"annotation\"",
+	      "-source:\"MGI\"",
+	      "taxon_label:\"Mus musculus\""]};
+
+    it('copies and never changes the original', function(){
+	var req = new request(params);
+	req.set('q', 'tag*').add_query_filter('source', 'ZFIN');
+	assert.equal(params['q'], '*:*', 'q untouched');
+	assert.equal(params['fq'].length, 3, 'fq untouched');
+	assert.equal(req.get('q'), 'tag*', 'q set');
+	req.set('q', null);
+	assert.isNull(req.get('q'), 'q unset');
+    });
+
+    it('filters', function(){
+	var req = new request(params);
+
+	req.remove_query_filter('source', 'MGI');
+	assert.deepEqual(req.query_filter_strings(),
+			 ["document_category:\"annotation\"",
+			  "taxon_label:\"Mus musculus\""], 'removed');
+
+	req.negate_query_filter('taxon_label', 'Mus musculus');
+	assert.deepEqual(req.get('fq'),
+			 ["document_category:\"annotation\"",
+			  "-taxon_label:\"Mus musculus\""], 'negated');
+
+	req.add_query_filter('taxon_label', 'Mus musculus');
+	assert.deepEqual(req.get('fq'),
+			 ["document_category:\"annotation\"",
+			  "taxon_label:\"Mus musculus\""],
+			 'added replaces opposite');
+
+	req.add_query_filter('label', 'say "hi"', false);
+	assert.equal(req.get('fq')[2], '-label:"say \\"hi\\""', 'quoted');
+
+	req.remove_query_filter_string("document_category:\"annotation\"");
+	req.remove_query_filter('taxon_label', 'Mus musculus');
+	assert.equal(req.get('fq'), '-label:"say \\"hi\\""', 'single string');
+	req.remove_query_filter('label', 'say "hi"');
+	assert.isNull(req.get('fq'), 'no filters left');
+
+	req.add_query_filter_string('date:[2010 TO *]');
+	assert.equal(req.get('fq'), 'date:[2010 TO *]', 'raw string');
+    });
+
+    it('negating keeps the filter', function(){
+	var req = new request({"fq": ["date:[2010 TO *]",
+				      "{!tag=src}source:\"MGI\"",
+				      "NOT taxon:\"NCBITaxon:10090\"",
+				      "{!term f=label}tag"]});
+
+	req.negate_query_filter('date', '[2010 TO *]');
+	req.negate_query_filter('source', 'MGI');
+	req.negate_query_filter('taxon', 'NCBITaxon:10090');
+	req.negate_query_filter('label', 'tag');
+	assert.deepEqual(req.get('fq'),
+			 ["-date:[2010 TO *]",
+			  "{!tag=src}-source:\"MGI\"",
+			  "taxon:\"NCBITaxon:10090\"",
+			  "-label:\"tag\""], 'negated');
+
+	req.negate_query_filter('date', '[2010 TO *]');
+	req.negate_query_filter('source', 'MGI');
+	assert.equal(req.get('fq')[0], 'date:[2010 TO *]', 'range back');
+	assert.equal(req.get('fq')[1], '{!tag=src}source:"MGI"', 'local params back');
+
+	req.add_query_filter('year', '[2001 TO 2005}', false);
+	assert.equal(req.get('fq')[4], '-year:[2001 TO 2005}', 'range added');
+    });
+
+    it('paging and facets', function(){
+	var req = new request(params);
+	req.next_page().next_page();
+	assert.equal(req.get('start'), '20', 'two pages on');
+	req.previous_page();
+	assert.equal(req.get('start'), '10', 'one page back');
+	req.set_rows(25).previous_page();
+	assert.equal(req.get('start'), '0', 'not past the start');
+	assert.equal(req.get('rows'), '25', 'rows');
+	req.set_start(3);
+	assert.equal(req.get('start'), '3', 'start');
+
+	var creq = new request({"q": "*:*", "rows": "10", "start": "0",
+				"cursorMark": "*"});
+	assert.throws(function(){ creq.next_page(); }, /cursorMark/, 'no start with cursor');
+	assert.throws(function(){ creq.previous_page(); }, /cursorMark/, 'nor back');
+	assert.equal(creq.get('start'), '0', 'start untouched');
+
+	req.remove_facet_field('source');
+	assert.equal(req.get('facet.field'), 'evidence_type', 'one left');
+	req.facet(false);
+	assert.equal(req.get('facet'), 'false', 'off');
+	req.add_facet_field('taxon_label');
+	assert.equal(req.get('facet'), 'true', 'back on');
+	assert.deepEqual(req.get('facet.field'),
+			 ['evidence_type', 'taxon_label'], 'added');
+    });
+
+    it('serializing round-trips', function(){
+	var req = new request(params);
+	req.add_query_filter('label', 'a&b=c+d %', true);
+	var qs = req.query_string();
+	assert.notInclude(qs, ' ', 'encoded');
+	assert.include(qs, 'fq=document_category%3A%22annotation%22',
+		       'encoded filter');
+	assert.deepEqual(request.parse_query_string(qs), req.parameters(),
+			 'round-trip');
+
+	var url = req.url('http://golr.example.org/solr/select');
+	assert.equal(url.indexOf('http://golr.example.org/solr/select?'), 0,
+		     'url');
+	assert.deepEqual(request.parse_query_string(url), req.parameters(),
+			 'url round-trip');
+	assert.equal(new request({q: 'a'}).url('http://x/select?wt=json'),
+		     'http://x/select?wt=json&q=a', 'url with params');
+	assert.deepEqual(request.parse_query_string('?q=a+b&fq=x'),
+			 {q: 'a b', fq: 'x'}, 'plus is space');
+    });
+
+    it('derived from a response', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":params},
+	    "response":{"numFound":30,"start":0,"docs":[]}});
+	var req = bgr.derive_request();
+	assert.deepEqual(req.parameters(), bgr.parameters(), 'same start');
+
+	req.next_page().remove_query_filter('source', 'MGI');
+	assert.equal(bgr.parameter('start'), '0', 'response untouched');
+
+	// What comes back from the server should match.
+	var next = new bbop_response_golr({
+	    "responseHeader":{
+		"status":0,
+		"params":request.parse_query_string(req.query_string())},
+	    "response":{"numFound":30,"start":10,"docs":[]}});
+	assert.equal(next.parameter('start'), '10', 'next page');
+	assert.isUndefined(next.query_filters()['source'], 'filter gone');
+	assert.isTrue(next.query_filters()['taxon_label']['Mus musculus'],
+		      'other filters kept');
+    });
+
+});
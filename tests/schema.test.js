@@ -0,0 +1,164 @@
+////
+//// Unit testing for schema-typed documents.
+////
+
+var us = require('underscore');
+
+// Test stuff
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+
+// Correct environment, ready testing.
+var bbop_response_golr = require('..');
+var schema = bbop_response_golr.schema;
+
+///
+/// Start unit testing.
+///
+
+// A cut-down version of the AmiGO annotation and ontology classes.
+var annotation_conf = {
+    "id": "annotation",
+    "document_category": "annotation",
+    "fields": [
+	{"id": "id", "type": "string", "cardinality": "single"},
+	{"id": "document_category", "type": "string",
+	 "cardinality": "single"},
+	{"id": "bioentity", "type": "string", "cardinality": "single"},
+	{"id": "bioentity_label", "type": "string", "cardinality": "single",
+	 "searchable": "true"},
+	{"id": "evidence_with", "type": "string", "cardinality": "multi"},
+	{"id": "isa_partof_closure", "type": "string",
+	 "cardinality": "multi"},
+	{"id": "taxon_closure_count", "type": "integer",
+	 "cardinality": "single"},
+	{"id": "is_obsolete", "type": "boolean", "cardinality": "single"}]
+};
+var ontology_conf = {
+    "id": "ontology",
+    "document_category": "ontology_class",
+    "fields": [
+	{"id": "id", "type": "string", "cardinality": "single"},
+	{"id": "document_category", "type": "string",
+	 "cardinality": "single"},
+	{"id": "synonym", "type": "string", "cardinality": "multi"}]
+};
+var golr_json = {"annotation": annotation_conf, "ontology": ontology_conf};
+
+describe('schema', function(){
+
+    it('reads the different configuration forms', function(){
+	assert.deepEqual(new schema(annotation_conf).class_ids(),
+			 ['annotation'], 'single class');
+	assert.deepEqual(new schema(golr_json).class_ids(),
+			 ['annotation', 'ontology'], 'golr.json hash');
+	assert.deepEqual(new schema([ontology_conf]).class_ids(),
+			 ['ontology'], 'list');
+	assert.deepEqual(new schema(JSON.stringify(golr_json)).class_ids(),
+			 ['annotation', 'ontology'], 'JSON string');
+	assert.throws(function(){ new schema({}); }, /no GOlr classes/);
+    });
+
+    it('classes and fields', function(){
+	var sch = new schema(golr_json);
+	assert.equal(sch.class_for({"document_category": "ontology_class"}),
+		     'ontology', 'by category');
+	assert.isNull(sch.class_for({}), 'ambiguous');
+	assert.equal(new schema(annotation_conf).class_for({}), 'annotation',
+		     'only one class');
+	assert.equal(sch.field('annotation', 'bioentity_label_searchable').id,
+		     'bioentity_label', 'generated field');
+	assert.isNull(sch.field('annotation', 'foo'), 'no field');
+    });
+
+    it('type_document', function(){
+	var sch = new schema(golr_json);
+	var typed = sch.type_document({
+	    "document_category": "annotation",
+	    "id": "a1",
+	    "bioentity": ["PomBase:SPCC548.04", "PomBase:other"],
+	    "evidence_with": "SGD:S000001270",
+	    "taxon_closure_count": "12",
+	    "is_obsolete": "false",
+	    "foo": "bar",
+	    "score": 1.0});
+	assert.deepEqual(typed.doc, {
+	    "document_category": "annotation",
+	    "id": "a1",
+	    "bioentity": "PomBase:SPCC548.04",
+	    "evidence_with": ["SGD:S000001270"],
+	    "isa_partof_closure": [],
+	    "taxon_closure_count": 12,
+	    "is_obsolete": false,
+	    "foo": "bar",
+	    "score": 1.0}, 'typed');
+	assert.deepEqual(us.pluck(typed.warnings, 'field'),
+			 ['bioentity', 'foo'], 'warnings');
+    });
+
+    it('values not of their type', function(){
+	var sch = new schema(annotation_conf);
+	var typed = sch.type_document({
+	    "id": "a1",
+	    "taxon_closure_count": "12abc",
+	    "is_obsolete": "maybe"});
+	assert.equal(typed.doc.taxon_closure_count, '12abc', 'left as it was');
+	assert.equal(typed.doc.is_obsolete, 'maybe', 'left as it was');
+	assert.deepEqual(typed.warnings,
+			 [{field: 'taxon_closure_count',
+			   message: 'value "12abc" is not of type integer; left as it was'},
+			  {field: 'is_obsolete',
+			   message: 'value "maybe" is not of type boolean; left as it was'}],
+			 'reported');
+	assert.deepEqual(sch.type_document({"id": "a2"}).doc,
+			 {"id": "a2", "evidence_with": [], "isa_partof_closure": []},
+			 'absent multi-valued fields are empty lists');
+    });
+
+    it('ensure', function(){
+	var sch = new schema(golr_json);
+	assert.strictEqual(schema.ensure(sch), sch, 'schema as it is');
+	assert.deepEqual(schema.ensure(golr_json).class_ids(), sch.class_ids(),
+			 'configuration built');
+    });
+
+});
+
+describe('bbop-golr-response (typed documents)', function(){
+
+    it('typed_documents, get_typed_doc, schema_warnings', function(){
+	var bgr = new bbop_response_golr({
+	    "responseHeader":{"status":0, "params":{}},
+	    "response":{"numFound":2,"start":0,"docs":[
+		{"document_category": "annotation", "id": "a1",
+		 "isa_partof_closure": "GO:0003674"},
+		{"document_category": "ontology_class", "id": "GO:0003674",
+		 "synonym": "thing", "foo": 1}]}});
+
+	assert.isNull(bgr.schema(), 'no schema yet');
+	assert.throws(function(){ bgr.typed_documents(); }, /no schema/);
+
+	var built = new schema(golr_json);
+	bgr.schema(built);
+	assert.strictEqual(bgr.schema(), built, 'schema object taken as it is');
+	bgr.schema(golr_json);
+	assert.instanceOf(bgr.schema(), schema, 'schema set');
+
+	var docs = bgr.typed_documents();
+	assert.deepEqual(docs[0]['isa_partof_closure'], ['GO:0003674'],
+			 'multi is a list');
+	assert.deepEqual(docs[1]['synonym'], ['thing'], 'other class');
+	assert.equal(bgr.documents()[0]['isa_partof_closure'], 'GO:0003674',
+		     'raw docs untouched');
+	assert.deepEqual(bgr.get_typed_doc('GO:0003674')['synonym'],
+			 ['thing'], 'by id');
+	assert.isNull(bgr.get_typed_doc('foo'), 'no doc');
+
+	assert.deepEqual(bgr.schema_warnings(),
+			 [{id: 'GO:0003674', index: 1, field: 'foo',
+			   message: 'not in schema class "ontology"'}],
+			 'warnings');
+    });
+
+});